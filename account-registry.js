@@ -0,0 +1,214 @@
+/**
+ * @file account-registry.js
+ * @version 1.0
+ * @description 多账号注册表 - 每个账号对应 automation-accounts 集合中的一条记录，以及独立的浏览器 profile 目录和 Cookie 文件
+ *
+ * 账号记录字段：
+ * - accountId: 账号标识（任务 / 请求中的 accountId），也可使用记录的 _id
+ * - name / platform: 展示名称与平台（默认 xingtu）
+ * - status: active（默认）| disabled，停用的账号不能执行任务
+ * - userDataDir: 浏览器 profile 目录，默认 account_profiles/<accountId>（相对路径基于项目目录）
+ * - cookieFile: Cookie 文件，默认 account_profiles/<accountId>.cookies.json
+ * - isDefault: 未指定 accountId 的任务使用该账号
+ * - loginState: 最近一次得知的登录状态 { loggedIn, checkedAt, source, reason }
+ * - lastRisk: 最近一次触发的验证码 / 风控 { code, kind, url, at }
+ *
+ * 集合中没有默认账号时使用内置的 default 账号：profile 为 user_data_agent、Cookie 文件为 xingtu-cookies.json（与单账号时期一致）。
+ */
+const fs = require('fs');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+
+const ACCOUNTS_COLLECTION = 'automation-accounts';
+const PROFILES_DIR = path.join(__dirname, 'account_profiles');
+const DEFAULT_ACCOUNT_ID = 'default';
+// 判断 Cookie 文件中的登录态时查找的 Cookie
+const SESSION_COOKIE_NAMES = ['sessionid', 'passport_csrf_token'];
+
+/**
+ * 内置默认账号（单账号时期的 profile 与 Cookie 文件）
+ */
+function getBuiltinDefaultAccount() {
+    return {
+        accountId: DEFAULT_ACCOUNT_ID,
+        name: '默认账号',
+        platform: 'xingtu',
+        status: 'active',
+        isDefault: true,
+        userDataDir: 'user_data_agent',
+        cookieFile: 'xingtu-cookies.json',
+    };
+}
+
+/**
+ * 补全账号的 profile 目录与 Cookie 文件（绝对路径）
+ */
+function normalizeAccount(doc) {
+    const accountId = doc.accountId || String(doc._id);
+    const resolve = value => (path.isAbsolute(value) ? value : path.join(__dirname, value));
+    return {
+        ...doc,
+        accountId,
+        platform: doc.platform || 'xingtu',
+        status: doc.status || 'active',
+        userDataDir: doc.userDataDir ? resolve(doc.userDataDir) : path.join(PROFILES_DIR, accountId),
+        cookieFile: doc.cookieFile ? resolve(doc.cookieFile) : path.join(PROFILES_DIR, `${accountId}.cookies.json`),
+    };
+}
+
+/**
+ * 读取 Cookie 文件中登录 Cookie 的过期时间，文件不存在或没有登录 Cookie 时返回 null
+ */
+function readCookieExpiry(cookieFile) {
+    try {
+        const cookies = JSON.parse(fs.readFileSync(cookieFile, 'utf-8'));
+        const sessionCookie = cookies.find(c => SESSION_COOKIE_NAMES.includes(c.name));
+        return sessionCookie && sessionCookie.expires > 0 ? new Date(sessionCookie.expires * 1000) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 账号的登录状态：优先使用最近记录的 loginState，没有记录时根据 Cookie 文件是否过期判断，都没有时为 null（未知）
+ */
+function describeLoginState(account) {
+    const cookieExpiresAt = readCookieExpiry(account.cookieFile);
+    const cookieValid = cookieExpiresAt ? cookieExpiresAt.getTime() > Date.now() : null;
+    const state = account.loginState || {};
+    return {
+        accountId: account.accountId,
+        name: account.name || account.accountId,
+        platform: account.platform,
+        status: account.status,
+        isDefault: !!account.isDefault,
+        loggedIn: typeof state.loggedIn === 'boolean' ? state.loggedIn : cookieValid,
+        checkedAt: state.checkedAt || null,
+        source: state.source || (cookieValid !== null ? 'cookie_file' : null),
+        reason: state.reason || null,
+        lastRisk: account.lastRisk || null,
+        cookieExpiresAt: cookieExpiresAt ? cookieExpiresAt.toISOString() : null,
+        profileExists: fs.existsSync(account.userDataDir),
+    };
+}
+
+/**
+ * 创建账号注册表
+ * @param {Db} db - MongoDB 数据库实例
+ */
+function createAccountRegistry(db) {
+    const collection = db.collection(ACCOUNTS_COLLECTION);
+
+    async function findDefaultAccount() {
+        const doc = await collection.findOne({ isDefault: true });
+        return normalizeAccount(doc || getBuiltinDefaultAccount());
+    }
+
+    /**
+     * 按 accountId 查找账号，未指定时返回默认账号
+     * @returns {Promise<object|null>} 账号（含 userDataDir / cookieFile 绝对路径），不存在时返回 null
+     */
+    async function getAccount(accountId) {
+        if (!accountId || accountId === DEFAULT_ACCOUNT_ID) return findDefaultAccount();
+        const query = ObjectId.isValid(accountId)
+            ? { $or: [{ accountId }, { _id: new ObjectId(accountId) }] }
+            : { accountId };
+        const doc = await collection.findOne(query);
+        return doc ? normalizeAccount(doc) : null;
+    }
+
+    /**
+     * 列出全部账号（集合中没有默认账号时包含内置 default 账号）
+     */
+    async function listAccounts() {
+        const docs = await collection.find({}).sort({ createdAt: 1 }).toArray();
+        const accounts = docs.map(normalizeAccount);
+        if (!accounts.some(a => a.isDefault)) accounts.unshift(normalizeAccount(getBuiltinDefaultAccount()));
+        return accounts;
+    }
+
+    /**
+     * 新增或更新账号
+     * @param {object} account - 至少包含 accountId
+     */
+    async function upsertAccount(account) {
+        const { accountId, _id, ...fields } = account;
+        if (!accountId) throw new Error('账号缺少 accountId');
+        if (fields.isDefault) {
+            await collection.updateMany({ accountId: { $ne: accountId } }, { $set: { isDefault: false } });
+        }
+        const now = new Date();
+        await collection.updateOne(
+            { accountId },
+            { $set: { ...fields, updatedAt: now }, $setOnInsert: { accountId, createdAt: now } },
+            { upsert: true }
+        );
+        const saved = await getAccount(accountId);
+        await fs.promises.mkdir(saved.userDataDir, { recursive: true });
+        return saved;
+    }
+
+    /**
+     * 记录账号的登录状态
+     * @param {string} accountId
+     * @param {boolean} loggedIn
+     * @param {{ source?: string, reason?: string }} [detail]
+     */
+    async function recordLoginState(accountId, loggedIn, { source = 'task', reason = null } = {}) {
+        const loginState = { loggedIn, checkedAt: new Date(), source, reason };
+        await updateAccountFields(accountId, { loginState });
+    }
+
+    /**
+     * 更新账号记录的字段，账号不存在时忽略
+     */
+    async function updateAccountFields(accountId, fields) {
+        const account = await getAccount(accountId);
+        if (!account) return;
+        if (account._id) {
+            await collection.updateOne({ _id: account._id }, { $set: { ...fields, updatedAt: new Date() } });
+            return;
+        }
+        // 内置默认账号首次记录时写入集合
+        await collection.updateOne(
+            { accountId: account.accountId },
+            { $set: { ...fields, updatedAt: new Date() }, $setOnInsert: { ...getBuiltinDefaultAccount(), createdAt: new Date() } },
+            { upsert: true }
+        );
+    }
+
+    /**
+     * 根据任务执行结果更新账号状态：任务成功说明登录态有效；LOGIN_REQUIRED 记为未登录；CAPTCHA / RISK_CONTROL 记入 lastRisk
+     */
+    async function recordTaskOutcome(accountId, executionResult) {
+        if (executionResult?.status === 'completed') {
+            await recordLoginState(accountId, true, { source: 'task' });
+            return;
+        }
+        const { errorCode, risk } = executionResult || {};
+        if (errorCode === 'LOGIN_REQUIRED') {
+            await recordLoginState(accountId, false, { source: 'task', reason: risk?.url ? `跳转到登录页: ${risk.url}` : errorCode });
+        } else if (errorCode === 'CAPTCHA' || errorCode === 'RISK_CONTROL') {
+            const lastRisk = { code: errorCode, kind: risk?.kind || null, url: risk?.url || null, at: new Date() };
+            await updateAccountFields(accountId, { lastRisk });
+        }
+    }
+
+    /**
+     * 各账号的登录状态
+     */
+    async function getLoginStatuses() {
+        return (await listAccounts()).map(describeLoginState);
+    }
+
+    return { getAccount, listAccounts, upsertAccount, recordLoginState, recordTaskOutcome, getLoginStatuses };
+}
+
+module.exports = {
+    createAccountRegistry,
+    getBuiltinDefaultAccount,
+    normalizeAccount,
+    describeLoginState,
+    ACCOUNTS_COLLECTION,
+    DEFAULT_ACCOUNT_ID,
+};
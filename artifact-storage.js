@@ -0,0 +1,224 @@
+/**
+ * @file artifact-storage.js
+ * @version 1.0
+ * @description 产物存储适配层 - 截图、页面存档等文件统一经由此模块上传，按配置选择存储后端
+ *
+ * 后端（STORAGE_BACKEND）：
+ * - tos（默认）: 火山引擎 TOS，使用 TOS_ACCESS_KEY_ID / TOS_SECRET_ACCESS_KEY / TOS_ENDPOINT / TOS_REGION / TOS_BUCKET_NAME
+ * - s3: 任意 S3 兼容存储（AWS S3、MinIO 等），使用 S3_ENDPOINT / S3_REGION / S3_BUCKET / S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY，
+ *       S3_FORCE_PATH_STYLE=true 使用路径风格（MinIO 需要），S3_PUBLIC_URL 可指定公开访问地址前缀
+ * - local: 本地磁盘，写入 LOCAL_STORAGE_DIR（默认 ./artifacts），LOCAL_STORAGE_BASE_URL 可指定对外访问地址前缀，否则返回 file:// 路径
+ *
+ * 通用配置：
+ * - STORAGE_KEY_TEMPLATE: 对象 key 模板（template-engine 语法），默认 automation_screenshots/{{taskId}}/{{fileName}}，
+ *   可用 taskId、fileName、workflowId、now，例如 artifacts/{{now | date:'YYYY-MM'}}/{{taskId}}/{{fileName}}；
+ *   缺失的变量（临时执行没有 workflowId 等）及未知变量替换为 adhoc
+ * - STORAGE_SIGNED_URLS=true: 私有桶，返回带签名的临时访问 URL（仅 tos / s3），有效期 STORAGE_SIGNED_URL_EXPIRES 秒（默认 7 天，即上限）
+ *
+ * 存储客户端在第一次上传时才创建，未使用云存储的环境（本地开发、测试）无需配置任何云凭证。
+ */
+const fs = require('fs');
+const path = require('path');
+const { TosClient } = require('@volcengine/tos-sdk');
+const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { renderTemplate } = require('./template-engine');
+
+const DEFAULT_KEY_TEMPLATE = 'automation_screenshots/{{taskId}}/{{fileName}}';
+const DEFAULT_SIGNED_URL_EXPIRES = 7 * 24 * 3600;
+// key 模板中缺失变量（如临时执行没有 workflowId）的替代值，不把 {{...}} 原样写入对象 key
+const MISSING_KEY_VALUE = 'adhoc';
+
+/**
+ * 检查必填配置，缺失时抛出错误（列出全部缺失项）
+ */
+function requireConfig(backend, config) {
+    const missing = Object.entries(config).filter(([, value]) => !value).map(([name]) => name);
+    if (missing.length > 0) {
+        throw new Error(`存储后端 '${backend}' 缺少配置: ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * 火山引擎 TOS 存储
+ */
+function createTosStorage(env, signedUrls) {
+    requireConfig('tos', {
+        TOS_ACCESS_KEY_ID: env.TOS_ACCESS_KEY_ID,
+        TOS_SECRET_ACCESS_KEY: env.TOS_SECRET_ACCESS_KEY,
+        TOS_ENDPOINT: env.TOS_ENDPOINT,
+        TOS_REGION: env.TOS_REGION,
+        TOS_BUCKET_NAME: env.TOS_BUCKET_NAME,
+    });
+    const bucket = env.TOS_BUCKET_NAME;
+    const client = new TosClient({
+        accessKeyId: env.TOS_ACCESS_KEY_ID,
+        accessKeySecret: env.TOS_SECRET_ACCESS_KEY,
+        endpoint: env.TOS_ENDPOINT,
+        region: env.TOS_REGION,
+    });
+
+    return {
+        name: 'tos',
+        async putObject({ key, body, contentType }) {
+            await client.putObject({ bucket, key, body, headers: { 'Content-Type': contentType } });
+        },
+        async getUrl(key) {
+            if (signedUrls.enabled) {
+                return client.getPreSignedUrl({ bucket, key, method: 'GET', expires: signedUrls.expires });
+            }
+            return `https://${bucket}.${env.TOS_ENDPOINT}/${key}`;
+        },
+    };
+}
+
+/**
+ * S3 兼容存储（AWS S3 / MinIO / 其它兼容实现）
+ */
+function createS3Storage(env, signedUrls) {
+    requireConfig('s3', {
+        S3_BUCKET: env.S3_BUCKET,
+        S3_ACCESS_KEY_ID: env.S3_ACCESS_KEY_ID,
+        S3_SECRET_ACCESS_KEY: env.S3_SECRET_ACCESS_KEY,
+    });
+    const bucket = env.S3_BUCKET;
+    const region = env.S3_REGION || 'us-east-1';
+    const forcePathStyle = env.S3_FORCE_PATH_STYLE === 'true';
+    const client = new S3Client({
+        region,
+        ...(env.S3_ENDPOINT && { endpoint: env.S3_ENDPOINT }),
+        forcePathStyle,
+        credentials: {
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        },
+    });
+
+    const publicUrl = key => {
+        if (env.S3_PUBLIC_URL) return `${env.S3_PUBLIC_URL.replace(/\/$/, '')}/${key}`;
+        if (env.S3_ENDPOINT) {
+            const endpoint = new URL(env.S3_ENDPOINT);
+            return forcePathStyle
+                ? `${endpoint.origin}/${bucket}/${key}`
+                : `${endpoint.protocol}//${bucket}.${endpoint.host}/${key}`;
+        }
+        return `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+    };
+
+    return {
+        name: 's3',
+        async putObject({ key, body, contentType }) {
+            await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+        },
+        async getUrl(key) {
+            if (signedUrls.enabled) {
+                return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn: signedUrls.expires });
+            }
+            return publicUrl(key);
+        },
+    };
+}
+
+/**
+ * 本地磁盘存储（开发 / 测试环境）
+ */
+function createLocalStorage(env) {
+    const rootDir = path.resolve(env.LOCAL_STORAGE_DIR || path.join(__dirname, 'artifacts'));
+
+    // key 来自模板，防止 ../ 写出存储目录
+    const resolvePath = key => {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(rootDir + path.sep)) throw new Error(`非法的对象 key: ${key}`);
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+        async putObject({ key, body }) {
+            const filePath = resolvePath(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, body);
+        },
+        async getUrl(key) {
+            if (env.LOCAL_STORAGE_BASE_URL) return `${env.LOCAL_STORAGE_BASE_URL.replace(/\/$/, '')}/${key}`;
+            return `file://${resolvePath(key)}`;
+        },
+    };
+}
+
+const STORAGE_BACKENDS = {
+    tos: createTosStorage,
+    s3: createS3Storage,
+    local: createLocalStorage,
+};
+
+/**
+ * 按环境变量创建存储适配器
+ * 适配器接口: { name, putObject({ key, body, contentType }), getUrl(key) }
+ * @param {object} [env] - 配置来源，默认 process.env
+ */
+function createStorage(env = process.env) {
+    const backend = (env.STORAGE_BACKEND || 'tos').toLowerCase();
+    const factory = STORAGE_BACKENDS[backend];
+    if (!factory) {
+        throw new Error(`未知的存储后端 '${backend}'，可选: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+    }
+    const signedUrls = {
+        enabled: env.STORAGE_SIGNED_URLS === 'true',
+        expires: parseInt(env.STORAGE_SIGNED_URL_EXPIRES, 10) || DEFAULT_SIGNED_URL_EXPIRES,
+    };
+    return factory(env, signedUrls);
+}
+
+let storage = null;
+
+/**
+ * 获取当前进程的存储适配器（首次调用时创建）
+ */
+function getStorage() {
+    if (!storage) {
+        storage = createStorage();
+        console.log(`[STORAGE] 使用存储后端: ${storage.name}`);
+    }
+    return storage;
+}
+
+/**
+ * 按 STORAGE_KEY_TEMPLATE 生成对象 key，缺失或未知的变量替换为 MISSING_KEY_VALUE
+ */
+function buildObjectKey({ taskId, fileName, workflowId }) {
+    const template = process.env.STORAGE_KEY_TEMPLATE || DEFAULT_KEY_TEMPLATE;
+    const key = renderTemplate(template, {
+        taskId: taskId || MISSING_KEY_VALUE,
+        fileName,
+        workflowId: workflowId || MISSING_KEY_VALUE,
+        now: new Date(),
+    });
+    return key.replace(/\{\{[^{}]*\}\}/g, MISSING_KEY_VALUE);
+}
+
+/**
+ * 上传产物文件并返回访问 URL
+ * @param {Buffer} buffer - 文件内容
+ * @param {object} params
+ * @param {string} params.taskId - 任务 ID
+ * @param {string} params.fileName - 文件名
+ * @param {string} [params.contentType] - MIME 类型，默认 image/png
+ * @param {string} [params.workflowId] - 工作流 ID（可在 key 模板中使用）
+ * @returns {Promise<string>} 访问 URL（开启 STORAGE_SIGNED_URLS 时为带签名的临时 URL）
+ */
+async function uploadArtifact(buffer, { taskId, fileName, contentType = 'image/png', workflowId }) {
+    const target = getStorage();
+    const key = buildObjectKey({ taskId, fileName, workflowId });
+    try {
+        await target.putObject({ key, body: buffer, contentType });
+        const url = await target.getUrl(key);
+        console.log(`[STORAGE] 成功上传${contentType.startsWith('image/') ? '截图' : '文件'}到 ${target.name}: ${key}`);
+        return url;
+    } catch (error) {
+        console.error(`[STORAGE] ${target.name} 上传失败: `, error);
+        throw new Error(`Failed to upload ${fileName} to ${target.name}.`);
+    }
+}
+
+module.exports = { uploadArtifact, createStorage, getStorage, buildObjectKey };
@@ -0,0 +1,243 @@
+/**
+ * @file browser-pool.js
+ * @version 1.0
+ * @description 浏览器页面池 - 多个任务共用同一浏览器并发执行，每个任务租用一个槽位（页面或独立的浏览器上下文），执行完归还后复用
+ *
+ * 调度规则：
+ * - 同时租出的槽位不超过 size（BROWSER_POOL_SIZE，默认 3），其余租用请求按先后排队
+ * - 同一账号同时执行的任务不超过 maxPerAccount（BROWSER_POOL_MAX_PER_ACCOUNT，默认 1），避免同一登录态被并发访问触发风控；
+ *   排在前面的任务因账号被占用而等待时，不阻塞其它账号的任务
+ * - 未指定账号的任务记为 default 账号
+ *
+ * 槽位隔离方式（BROWSER_POOL_ISOLATION）：
+ * - page（默认）: 在浏览器默认上下文中打开页面，共享 userDataDir 中的登录态
+ * - context: 每个槽位使用独立的隐身上下文（Cookie、缓存互不影响），登录态需由任务自行注入
+ *
+ * 归还时页面会移除任务注册的事件监听并跳转到 about:blank；重置失败、页面已关闭或浏览器已断开的槽位直接丢弃，下次租用时重新创建。
+ *
+ * drainAccount 用于替换 / 恢复账号 profile：等待该账号执行中的任务全部归还、暂停该账号的新租用并丢弃其空闲槽位（不打开页面），
+ * 调用方随后可安全关闭该账号的浏览器，完成后调用 release 恢复租用。
+ */
+
+const DEFAULT_ACCOUNT = 'default';
+const ISOLATION_MODES = ['page', 'context'];
+// 归还时跳转 about:blank 的超时时间（毫秒）
+const RESET_TIMEOUT = 10000;
+// 归还时移除的页面事件监听（任务执行期间可能注册的事件）
+const TASK_PAGE_EVENTS = ['response', 'request', 'requestfinished', 'requestfailed', 'console', 'dialog', 'pageerror', 'framenavigated'];
+
+function parsePositiveInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * 创建页面池
+ * @param {object} options
+ * @param {Function} options.getBrowser - (accountId) => Promise<Browser>，获取（必要时启动）执行该账号任务的浏览器
+ * @param {number} [options.size] - 最大并发槽位数，默认 BROWSER_POOL_SIZE 或 3
+ * @param {number} [options.maxPerAccount] - 单个账号的最大并发数，默认 BROWSER_POOL_MAX_PER_ACCOUNT 或 1
+ * @param {string} [options.isolation] - 'page' | 'context'，默认 BROWSER_POOL_ISOLATION 或 'page'
+ * @param {Function} [options.setupPage] - (page, accountId) => Promise，新建页面后的初始化（如代理认证）
+ */
+function createBrowserPool({
+    getBrowser,
+    size = parsePositiveInt(process.env.BROWSER_POOL_SIZE, 3),
+    maxPerAccount = parsePositiveInt(process.env.BROWSER_POOL_MAX_PER_ACCOUNT, 1),
+    isolation = process.env.BROWSER_POOL_ISOLATION || 'page',
+    setupPage = async () => {},
+}) {
+    if (!ISOLATION_MODES.includes(isolation)) {
+        throw new Error(`未知的页面池隔离方式 '${isolation}'，可选: ${ISOLATION_MODES.join(', ')}`);
+    }
+
+    const idle = [];                  // 空闲槽位 { page, context, accountId }，按归还顺序排列
+    const waiting = [];               // 排队中的租用请求 { accountId, taskId, enqueuedAt, resolve, reject }
+    const accountBusy = new Map();    // accountId -> 正在执行的任务数
+    const drainRequests = [];         // 排队中的账号排空请求 { accountId, resolve }
+    const drainedAccounts = new Set();// 已排空（暂停租用）的账号
+    let busy = 0;
+
+    function isUsable(slot) {
+        return !slot.page.isClosed() && slot.page.browser().isConnected();
+    }
+
+    async function discardSlot(slot) {
+        try {
+            if (slot.context) await slot.context.close();
+            else if (!slot.page.isClosed()) await slot.page.close();
+        } catch (e) {
+            // 浏览器已断开时关闭会失败，忽略即可
+        }
+    }
+
+    async function openSlot(accountId) {
+        // 优先复用同一账号的空闲槽位（不同账号的登录态可能不同）
+        let index;
+        while ((index = idle.findIndex(slot => slot.accountId === accountId)) !== -1) {
+            const [slot] = idle.splice(index, 1);
+            if (isUsable(slot)) return slot;
+            await discardSlot(slot);
+        }
+        // 槽位总数已满时关闭最久未用的其它账号空闲槽位
+        while (idle.length > 0 && idle.length + busy > size) {
+            await discardSlot(idle.shift());
+        }
+        const browser = await getBrowser(accountId);
+        const context = isolation === 'context' ? await browser.createIncognitoBrowserContext() : null;
+        const page = await (context || browser).newPage();
+        await setupPage(page, accountId);
+        return { page, context, accountId };
+    }
+
+    async function resetSlot(slot) {
+        if (!isUsable(slot)) return false;
+        try {
+            // 任务注册的 response 等监听不能带到下一个任务
+            TASK_PAGE_EVENTS.forEach(event => slot.page.removeAllListeners(event));
+            await slot.page.goto('about:blank', { timeout: RESET_TIMEOUT });
+            return true;
+        } catch (e) {
+            console.warn(`[POOL] 页面重置失败，丢弃该槽位: ${e.message}`);
+            return false;
+        }
+    }
+
+    function occupy(accountId) {
+        busy++;
+        accountBusy.set(accountId, (accountBusy.get(accountId) || 0) + 1);
+    }
+
+    function vacate(accountId) {
+        busy--;
+        const count = accountBusy.get(accountId) - 1;
+        if (count > 0) accountBusy.set(accountId, count);
+        else accountBusy.delete(accountId);
+    }
+
+    function createLease(slot, accountId) {
+        let released = false;
+        return {
+            page: slot.page,
+            accountId,
+            async release() {
+                if (released) return;
+                released = true;
+                if (await resetSlot(slot)) idle.push(slot);
+                else await discardSlot(slot);
+                vacate(accountId);
+                dispatch();
+            },
+        };
+    }
+
+    // 账号已排空或有排空请求时，该账号的租用请求继续排队
+    function isAccountBlocked(accountId) {
+        return drainedAccounts.has(accountId) || drainRequests.some(request => request.accountId === accountId);
+    }
+
+    // 排空账号：丢弃该账号的空闲槽位后交给调用方
+    function grantDrain({ accountId, resolve }) {
+        drainedAccounts.add(accountId);
+        const stale = idle.filter(slot => slot.accountId === accountId);
+        stale.forEach(slot => idle.splice(idle.indexOf(slot), 1));
+        let released = false;
+        Promise.all(stale.map(discardSlot)).then(() => resolve({
+            accountId,
+            release() {
+                if (released) return;
+                released = true;
+                drainedAccounts.delete(accountId);
+                dispatch();
+            },
+        }));
+    }
+
+    // 先授予账号没有执行中任务的排空请求，再按排队顺序分配空闲名额，跳过账号已达并发上限或被排空的请求
+    function dispatch() {
+        for (let i = 0; i < drainRequests.length;) {
+            const request = drainRequests[i];
+            if (drainedAccounts.has(request.accountId) || accountBusy.has(request.accountId)) {
+                i++;
+                continue;
+            }
+            drainRequests.splice(i, 1);
+            grantDrain(request);
+        }
+        for (let i = 0; i < waiting.length && busy < size;) {
+            const waiter = waiting[i];
+            if ((accountBusy.get(waiter.accountId) || 0) >= maxPerAccount || isAccountBlocked(waiter.accountId)) {
+                i++;
+                continue;
+            }
+            waiting.splice(i, 1);
+            occupy(waiter.accountId);
+            openSlot(waiter.accountId).then(
+                slot => waiter.resolve(createLease(slot, waiter.accountId)),
+                error => {
+                    vacate(waiter.accountId);
+                    waiter.reject(error);
+                    dispatch();
+                }
+            );
+        }
+    }
+
+    /**
+     * 租用一个槽位，名额不足或账号被占用时排队等待
+     * @param {object} [params]
+     * @param {string} [params.accountId] - 执行任务使用的账号
+     * @param {string} [params.taskId] - 任务 ID（仅用于状态展示）
+     * @returns {Promise<{ page: Page, accountId: string, release: Function }>} 任务结束后必须调用 release 归还
+     */
+    function acquire({ accountId, taskId } = {}) {
+        return new Promise((resolve, reject) => {
+            waiting.push({ accountId: accountId || DEFAULT_ACCOUNT, taskId, enqueuedAt: Date.now(), resolve, reject });
+            dispatch();
+            if (waiting.some(w => w.resolve === resolve)) {
+                console.log(`[POOL] 任务 ${taskId || '-'} 排队等待浏览器页面（执行中 ${busy}/${size}，排队 ${waiting.length}）`);
+            }
+        });
+    }
+
+    /**
+     * 排空账号：等待该账号执行中的任务全部归还，期间及排空后该账号的新租用排队等待（其它账号不受影响）
+     * @param {string} [accountId]
+     * @returns {Promise<{ accountId: string, release: Function }>} 操作完成后必须调用 release 恢复该账号的租用
+     */
+    function drainAccount(accountId = DEFAULT_ACCOUNT) {
+        return new Promise(resolve => {
+            drainRequests.push({ accountId, resolve });
+            if (accountBusy.has(accountId)) {
+                console.log(`[POOL] 等待账号 ${accountId} 执行中的 ${accountBusy.get(accountId)} 个任务结束后排空`);
+            }
+            dispatch();
+        });
+    }
+
+    /**
+     * 页面池状态：执行中 / 空闲 / 排队数量，以及各账号的执行与排队情况
+     */
+    function getStats() {
+        const queuedByAccount = {};
+        for (const w of waiting) {
+            queuedByAccount[w.accountId] = (queuedByAccount[w.accountId] || 0) + 1;
+        }
+        return {
+            size,
+            maxPerAccount,
+            isolation,
+            busy,
+            idle: idle.length,
+            queued: waiting.length,
+            oldestQueuedMs: waiting.length > 0 ? Date.now() - Math.min(...waiting.map(w => w.enqueuedAt)) : 0,
+            busyByAccount: Object.fromEntries(accountBusy),
+            queuedByAccount,
+            drainedAccounts: [...drainedAccounts],
+        };
+    }
+
+    return { acquire, drainAccount, getStats };
+}
+
+module.exports = { createBrowserPool, DEFAULT_ACCOUNT };
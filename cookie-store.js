@@ -0,0 +1,143 @@
+/**
+ * @file cookie-store.js
+ * @version 1.0
+ * @description Cookie 存储 - 执行任务前把账号的 Cookie 注入页面，任务成功后把被站点轮换过的 Cookie 写回，
+ * 在一台机器上登录导出的 Cookie 无需拷贝整个 Chrome profile 即可在另一台机器上生效
+ *
+ * 存储类型（COOKIE_STORE）：
+ * - 未设置 / none（默认）: 不注入，仅依赖浏览器 profile（userDataDir）中的登录态
+ * - file: 账号的 Cookie 文件（account-registry 中的 cookieFile，默认账号为 xingtu-cookies.json，与 refresh-cookie.js / export-cookies.js 导出格式一致）
+ * - mongo: automation-cookies 集合，每个账号一条记录 { accountId, cookies, source, updatedAt }
+ *
+ * 存储接口: { name, load(account) => Promise<cookies|null>, save(account, cookies, { source, keepPrevious }) => Promise }
+ * keepPrevious 为 true 时（如上传替换）保留被覆盖的版本：文件存储为 <cookieFile>.previous，mongo 存储为 previousCookies 字段
+ */
+const fs = require('fs');
+const path = require('path');
+
+const COOKIES_COLLECTION = 'automation-cookies';
+// 页面没有从存储中加载到 Cookie 时，写回这些站点的 Cookie
+const DEFAULT_COOKIE_URLS = ['https://www.xingtu.cn'];
+// page.setCookie 接受的字段（page.cookies() 导出的 size、session 等字段需去掉）
+const COOKIE_PARAM_FIELDS = ['name', 'value', 'domain', 'path', 'expires', 'httpOnly', 'secure', 'sameSite', 'priority'];
+
+/**
+ * 文件存储：读写账号的 cookieFile，写入时先写临时文件再重命名，避免并发读取到半个文件
+ */
+function createFileCookieStore() {
+    return {
+        name: 'file',
+        async load(account) {
+            try {
+                return JSON.parse(await fs.promises.readFile(account.cookieFile, 'utf-8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw new Error(`读取 Cookie 文件失败 ${account.cookieFile}: ${error.message}`);
+            }
+        },
+        async save(account, cookies, { keepPrevious = false } = {}) {
+            await fs.promises.mkdir(path.dirname(account.cookieFile), { recursive: true });
+            if (keepPrevious && fs.existsSync(account.cookieFile)) {
+                await fs.promises.copyFile(account.cookieFile, `${account.cookieFile}.previous`);
+            }
+            const tmpFile = `${account.cookieFile}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmpFile, JSON.stringify(cookies, null, 2));
+            await fs.promises.rename(tmpFile, account.cookieFile);
+        },
+    };
+}
+
+/**
+ * MongoDB 存储：automation-cookies 集合
+ */
+function createMongoCookieStore(db) {
+    if (!db) throw new Error("Cookie 存储 'mongo' 需要数据库连接");
+    const collection = db.collection(COOKIES_COLLECTION);
+    return {
+        name: 'mongo',
+        async load(account) {
+            const doc = await collection.findOne({ accountId: account.accountId });
+            return doc ? doc.cookies : null;
+        },
+        async save(account, cookies, { source = 'task', keepPrevious = false } = {}) {
+            // 保留旧版本时使用管道更新引用原字段（新 Cookie 以 $literal 写入，避免值被当作表达式）
+            const update = keepPrevious
+                ? [{ $set: { previousCookies: '$cookies', previousUpdatedAt: '$updatedAt', cookies: { $literal: cookies }, source, updatedAt: new Date() } }]
+                : { $set: { cookies, source, updatedAt: new Date() } };
+            await collection.updateOne({ accountId: account.accountId }, update, { upsert: true });
+        },
+    };
+}
+
+/**
+ * 按类型创建 Cookie 存储
+ * @param {string} [type] - file | mongo | none，默认 COOKIE_STORE
+ * @param {{ db?: Db }} [deps] - mongo 存储使用的数据库实例
+ * @returns {object|null} 未启用时返回 null
+ */
+function createCookieStore(type = process.env.COOKIE_STORE, { db } = {}) {
+    const normalized = (type || 'none').toLowerCase();
+    if (normalized === 'none') return null;
+    if (normalized === 'file') return createFileCookieStore();
+    if (normalized === 'mongo') return createMongoCookieStore(db);
+    throw new Error(`未知的 Cookie 存储 '${type}'，可选: none, file, mongo`);
+}
+
+function isExpired(cookie) {
+    return cookie.expires > 0 && cookie.expires < Date.now() / 1000;
+}
+
+/**
+ * 转换为 page.setCookie 的参数，丢弃已过期的 Cookie
+ */
+function toCookieParams(cookies) {
+    return cookies
+        .filter(c => c.name && c.value !== undefined && !isExpired(c))
+        .map(c => {
+            const param = {};
+            COOKIE_PARAM_FIELDS.forEach(field => {
+                if (c[field] !== undefined) param[field] = c[field];
+            });
+            // 会话 Cookie 导出时 expires 为 -1，注入时不带过期时间
+            if (!(param.expires > 0)) delete param.expires;
+            return param;
+        });
+}
+
+/**
+ * 由 Cookie 的 domain 得到读取 Cookie 用的 URL 列表
+ */
+function getCookieUrls(cookies) {
+    const domains = new Set((cookies || []).map(c => String(c.domain || '').replace(/^\./, '')).filter(Boolean));
+    return domains.size > 0 ? [...domains].map(domain => `https://${domain}`) : DEFAULT_COOKIE_URLS;
+}
+
+function cookieKey(cookie) {
+    return `${cookie.name}|${cookie.domain}|${cookie.path || '/'}`;
+}
+
+/**
+ * 判断页面当前的 Cookie 相比注入时是否发生轮换（值变化或新增）
+ */
+function cookiesChanged(before, after) {
+    const previous = new Map((before || []).map(c => [cookieKey(c), c.value]));
+    return after.some(c => previous.get(cookieKey(c)) !== c.value);
+}
+
+/**
+ * 合并 Cookie：以注入时的 Cookie 为基础，用页面当前的 Cookie 覆盖（页面读取不到的路径限定 Cookie 得以保留），并去掉已过期的 Cookie
+ */
+function mergeCookies(before, after) {
+    const merged = new Map((before || []).map(c => [cookieKey(c), c]));
+    after.forEach(c => merged.set(cookieKey(c), c));
+    return [...merged.values()].filter(c => !isExpired(c));
+}
+
+module.exports = {
+    createCookieStore,
+    toCookieParams,
+    getCookieUrls,
+    cookiesChanged,
+    mergeCookies,
+    COOKIES_COLLECTION,
+};
@@ -0,0 +1,136 @@
+/**
+ * @file credential-upload.js
+ * @version 1.0
+ * @description 登录凭证上传 - task-server 的上传接口使用：校验上传令牌、检查 Cookie JSON、接收并解压 profile 压缩包
+ *
+ * - 上传令牌: UPLOAD_TOKEN，请求头 Authorization: Bearer <token>；未配置时上传接口不可用
+ * - profile 压缩包: tar.gz（由 refresh-userdata.js 打包，根目录即 userDataDir 内容），大小上限 PROFILE_UPLOAD_MAX_MB（默认 1024）
+ * - 解压依赖系统 tar 命令；Singleton* 锁文件不会被解压
+ * - 上传端（refresh-cookie.js / refresh-userdata.js）用 resolveTaskServerUrl 检查上传地址：必须显式配置 TASK_SERVER_URL，
+ *   非本机地址要求 https://（令牌与登录凭证不能明文传输），确需明文时设置 ALLOW_INSECURE_UPLOAD=true
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const PROFILE_UPLOAD_MAX_BYTES = (parseInt(process.env.PROFILE_UPLOAD_MAX_MB, 10) || 1024) * 1024 * 1024;
+// 判断 Cookie 是否包含登录态的 Cookie
+const SESSION_COOKIE_NAMES = ['sessionid', 'passport_csrf_token'];
+// 有效 profile 目录中应存在的条目（任一）
+const PROFILE_MARKERS = ['Local State', 'Default'];
+// 允许通过 http:// 上传凭证的本机地址（如 ssh -L 转发到 ECS 的端口）
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * 读取并检查上传地址 TASK_SERVER_URL，返回去掉末尾 / 的地址
+ * @throws {Error} 未配置、不是有效 URL，或非本机地址且未使用 https://（未设置 ALLOW_INSECURE_UPLOAD=true）
+ */
+function resolveTaskServerUrl(env = process.env) {
+    const value = (env.TASK_SERVER_URL || '').trim();
+    if (!value) {
+        throw new Error('未配置 TASK_SERVER_URL（在 .env 中设置 task-server 地址，如 https://agent.example.com）');
+    }
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        throw new Error(`TASK_SERVER_URL 不是有效的 URL: ${value}`);
+    }
+    const insecureAllowed = LOCAL_HOSTS.includes(url.hostname) || env.ALLOW_INSECURE_UPLOAD === 'true';
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && insecureAllowed)) {
+        throw new Error(`TASK_SERVER_URL 必须使用 https://，上传令牌与登录凭证不能明文传输: ${value}` +
+            '（可经 ssh -L 转发后使用 http://localhost，或设置 ALLOW_INSECURE_UPLOAD=true）');
+    }
+    return value.replace(/\/+$/, '');
+}
+
+/**
+ * Express 中间件：校验 Authorization: Bearer <UPLOAD_TOKEN>
+ */
+function requireUploadToken(req, res, next) {
+    const expected = process.env.UPLOAD_TOKEN;
+    if (!expected) {
+        return res.status(503).json({ success: false, error: '服务器未配置 UPLOAD_TOKEN，上传接口不可用' });
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const provided = Buffer.from(match ? match[1].trim() : '');
+    const expectedBuffer = Buffer.from(expected);
+    if (provided.length !== expectedBuffer.length || !crypto.timingSafeEqual(provided, expectedBuffer)) {
+        console.warn(`[UPLOAD] 上传令牌无效，来源 ${req.ip}`);
+        return res.status(401).json({ success: false, error: '上传令牌无效' });
+    }
+    next();
+}
+
+/**
+ * 检查上传的 Cookie，返回错误信息，通过时返回 null
+ */
+function validateCookies(cookies) {
+    if (!Array.isArray(cookies) || cookies.length === 0) {
+        return 'cookies 必须是非空数组（page.cookies() 导出的格式）';
+    }
+    const invalid = cookies.find(c => !c || !c.name || c.value === undefined || !c.domain);
+    if (invalid) {
+        return `Cookie 缺少 name / value / domain: ${JSON.stringify(invalid).slice(0, 100)}`;
+    }
+    if (!cookies.some(c => SESSION_COOKIE_NAMES.includes(c.name))) {
+        return `缺少登录 Cookie（${SESSION_COOKIE_NAMES.join(' / ')}）`;
+    }
+    return null;
+}
+
+/**
+ * 把请求体写入文件，超过大小上限时中止
+ * @returns {Promise<number>} 写入的字节数
+ */
+function receiveUpload(req, filePath, maxBytes = PROFILE_UPLOAD_MAX_BYTES) {
+    return new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(filePath);
+        let received = 0;
+        const fail = error => {
+            req.unpipe(output);
+            output.destroy();
+            reject(error);
+        };
+        req.on('data', chunk => {
+            received += chunk.length;
+            if (received > maxBytes) {
+                req.pause();
+                fail(new Error(`上传内容超过大小上限 ${Math.round(maxBytes / 1024 / 1024)}MB`));
+            }
+        });
+        req.on('aborted', () => fail(new Error('上传被客户端中断')));
+        req.on('error', fail);
+        output.on('error', fail);
+        output.on('finish', () => resolve(received));
+        req.pipe(output);
+    });
+}
+
+/**
+ * 解压 profile 压缩包（tar.gz）到目标目录，并确认是浏览器 profile
+ */
+async function extractProfileArchive(archivePath, targetDir) {
+    await fs.promises.mkdir(targetDir, { recursive: true });
+    try {
+        await execFileAsync('tar', ['-xzf', archivePath, '-C', targetDir, '--no-same-owner', '--exclude=Singleton*'], { maxBuffer: 10 * 1024 * 1024 });
+    } catch (error) {
+        throw new Error(`解压 profile 压缩包失败: ${(error.stderr || error.message).toString().trim()}`);
+    }
+    const entries = await fs.promises.readdir(targetDir);
+    if (!PROFILE_MARKERS.some(marker => entries.includes(marker))) {
+        throw new Error(`压缩包不是浏览器 profile（根目录应包含 ${PROFILE_MARKERS.join(' 或 ')}）`);
+    }
+}
+
+module.exports = {
+    requireUploadToken,
+    resolveTaskServerUrl,
+    validateCookies,
+    receiveUpload,
+    extractProfileArchive,
+    PROFILE_UPLOAD_MAX_BYTES,
+};
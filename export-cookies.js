@@ -1,15 +1,11 @@
-const puppeteer = require('puppeteer-core');
+const { launchBrowser } = require('./browser-launcher');
 const path = require('path');
 const fs = require('fs');
 
 (async () => {
     const userDataDir = path.join(__dirname, 'user_data_agent');
 
-    const browser = await puppeteer.launch({
-        executablePath: '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-        headless: true,
-        userDataDir: userDataDir,
-    });
+    const browser = await launchBrowser('unattended-worker', { userDataDir });
 
     const page = await browser.newPage();
 
@@ -0,0 +1,300 @@
+/**
+ * @file failure-evidence.js
+ * @version 1.0
+ * @description 失败现场取证 - 任务执行期间记录页面的控制台消息与网络请求，任务失败时采集整页截图、HTML、当前 URL，
+ * 连同最近的控制台消息、HAR 格式的请求日志一起经 artifact-storage 上传为一组取证文件，不必再到 ECS 上猜测失败原因
+ *
+ * 上传的文件（同一前缀 failure_<时间戳>_）：
+ * - screenshot.png: 整页截图
+ * - page.html: 页面 HTML（page.content()）
+ * - console.json: 最近 FAILURE_EVIDENCE_CONSOLE_LIMIT 条控制台消息及页面错误（默认 100）
+ * - network.har: 最近 FAILURE_EVIDENCE_REQUEST_LIMIT 个请求（默认 200），HAR 1.2 格式，可导入 Chrome DevTools 查看
+ * - evidence.json: 取证清单（失败步骤、错误信息、页面 URL、以上文件的链接、失败请求与控制台错误摘要）
+ *
+ * 取证文件可能上传到公开可读的存储（默认 TOS 公开 URL），写入前脱敏：
+ * - 请求 / 响应头中的 Cookie / Set-Cookie / Authorization 替换为 [redacted]
+ * - URL（请求、重定向、页面、控制台来源）中名称含 token / ticket / code / password / session / sign 等的查询参数替换为 REDACTED
+ * - 默认不记录请求体；FAILURE_EVIDENCE_POST_DATA=true 时记录（最多 POST_DATA_LIMIT 个字符），但登录页（risk-detector 的 isLoginUrl）与 sso / passport / 短信验证等接口的请求体始终不记录
+ * 单项采集或上传失败不影响其它项，失败原因写入 errors；页面已关闭（如浏览器崩溃）时跳过截图与 HTML，仍上传控制台与请求日志。
+ * FAILURE_EVIDENCE=false 关闭取证。
+ */
+const { uploadArtifact } = require('./artifact-storage');
+const { isLoginUrl } = require('./risk-detector');
+
+// 单项采集（截图、HTML）的超时时间（毫秒），页面卡死时不拖住任务的失败返回
+const CAPTURE_TIMEOUT = 15000;
+// 请求体保留的最大字符数
+const POST_DATA_LIMIT = 2000;
+// 写入 HAR 前脱敏的请求 / 响应头
+const REDACTED_HEADERS = ['cookie', 'set-cookie', 'authorization', 'proxy-authorization'];
+// 查询参数名包含以下片段时脱敏（登录凭证、短信验证码、签名等）
+const SENSITIVE_QUERY_PARAMS = ['token', 'ticket', 'code', 'password', 'passwd', 'secret', 'session', 'sign', 'csrf', 'captcha', 'verify', 'auth', 'mobile', 'phone', 'sms'];
+// 登录 / 短信验证相关接口（如 sso.douyin.com/passport/web/send_code），请求体始终不记录
+const CREDENTIAL_URL_PATTERN = /\/\/(sso|passport|login|account)\.|\/(passport|login|sso|oauth)\/|send_code|sms/i;
+
+function parsePositiveInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return parsed > 0 ? parsed : fallback;
+}
+
+function isEvidenceEnabled() {
+    return process.env.FAILURE_EVIDENCE !== 'false';
+}
+
+/**
+ * 向定长列表追加记录，超出上限时丢弃最早的记录
+ */
+function pushLimited(list, item, limit) {
+    list.push(item);
+    if (list.length > limit) list.splice(0, list.length - limit);
+}
+
+/**
+ * 脱敏 URL 中的敏感查询参数，无法解析的 URL 原样返回
+ */
+function redactUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return url;
+    }
+    let changed = false;
+    for (const name of [...new Set(parsed.searchParams.keys())]) {
+        if (SENSITIVE_QUERY_PARAMS.some(fragment => name.toLowerCase().includes(fragment))) {
+            parsed.searchParams.set(name, 'REDACTED');
+            changed = true;
+        }
+    }
+    return changed ? parsed.toString() : url;
+}
+
+function toHarQueryString(url) {
+    try {
+        return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+    } catch (e) {
+        return [];
+    }
+}
+
+function shouldRecordPostData(url) {
+    return process.env.FAILURE_EVIDENCE_POST_DATA === 'true' && !isLoginUrl(url) && !CREDENTIAL_URL_PATTERN.test(url);
+}
+
+function toHarHeaders(headers = {}) {
+    return Object.entries(headers).map(([name, value]) => ({
+        name,
+        value: REDACTED_HEADERS.includes(name.toLowerCase()) ? '[redacted]' : String(value),
+    }));
+}
+
+function withTimeout(promise, label) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label}超时（${CAPTURE_TIMEOUT}ms）`)), CAPTURE_TIMEOUT);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 开始记录页面的控制台消息与网络请求（在任务开始执行时调用）
+ * @param {Page} page
+ * @param {object} [options]
+ * @param {number} [options.consoleLimit] - 保留的控制台消息数，默认 FAILURE_EVIDENCE_CONSOLE_LIMIT 或 100
+ * @param {number} [options.requestLimit] - 保留的请求数，默认 FAILURE_EVIDENCE_REQUEST_LIMIT 或 200
+ * @returns {{ consoleMessages: object[], toHar: Function, detach: Function }|null} 取证关闭时返回 null
+ */
+function attachPageRecorder(page, {
+    consoleLimit = parsePositiveInt(process.env.FAILURE_EVIDENCE_CONSOLE_LIMIT, 100),
+    requestLimit = parsePositiveInt(process.env.FAILURE_EVIDENCE_REQUEST_LIMIT, 200),
+} = {}) {
+    if (!isEvidenceEnabled()) return null;
+
+    const consoleMessages = [];
+    const entries = [];
+    const pending = new Map();  // request -> HAR entry
+
+    const onConsole = message => {
+        const location = message.location() || {};
+        pushLimited(consoleMessages, {
+            type: message.type(),
+            text: message.text(),
+            url: location.url ? redactUrl(location.url) : null,
+            line: location.lineNumber ?? null,
+            time: new Date().toISOString(),
+        }, consoleLimit);
+    };
+    const onPageError = error => {
+        pushLimited(consoleMessages, { type: 'pageerror', text: error.message, time: new Date().toISOString() }, consoleLimit);
+    };
+    const onRequest = request => {
+        const postData = request.postData();
+        const url = redactUrl(request.url());
+        const entry = {
+            startedAt: Date.now(),
+            startedDateTime: new Date().toISOString(),
+            time: -1,
+            request: {
+                method: request.method(),
+                url,
+                httpVersion: 'HTTP/1.1',
+                headers: toHarHeaders(request.headers()),
+                queryString: toHarQueryString(url),
+                cookies: [],
+                headersSize: -1,
+                bodySize: postData ? postData.length : 0,
+                ...(postData && shouldRecordPostData(request.url()) && {
+                    postData: { mimeType: request.headers()['content-type'] || '', text: postData.slice(0, POST_DATA_LIMIT) },
+                }),
+            },
+            response: null,
+            cache: {},
+            timings: { send: 0, wait: -1, receive: 0 },
+            _resourceType: request.resourceType(),
+        };
+        pending.set(request, entry);
+        pushLimited(entries, entry, requestLimit);
+    };
+    const onResponse = response => {
+        const entry = pending.get(response.request());
+        if (!entry) return;
+        const headers = response.headers();
+        entry.response = {
+            status: response.status(),
+            statusText: response.statusText(),
+            httpVersion: 'HTTP/1.1',
+            headers: toHarHeaders(headers),
+            cookies: [],
+            content: { size: parseInt(headers['content-length'], 10) || -1, mimeType: headers['content-type'] || '' },
+            redirectURL: headers.location ? redactUrl(headers.location) : '',
+            headersSize: -1,
+            bodySize: -1,
+        };
+    };
+    const finishRequest = (request, failureText = null) => {
+        const entry = pending.get(request);
+        if (!entry) return;
+        pending.delete(request);
+        entry.time = Date.now() - entry.startedAt;
+        entry.timings.wait = entry.time;
+        if (failureText) entry._failureText = failureText;
+    };
+    const onRequestFinished = request => finishRequest(request);
+    const onRequestFailed = request => finishRequest(request, request.failure()?.errorText || 'failed');
+
+    const listeners = {
+        console: onConsole,
+        pageerror: onPageError,
+        request: onRequest,
+        response: onResponse,
+        requestfinished: onRequestFinished,
+        requestfailed: onRequestFailed,
+    };
+    Object.entries(listeners).forEach(([event, listener]) => page.on(event, listener));
+
+    return {
+        consoleMessages,
+        /**
+         * 导出 HAR 1.2 日志（未完成的请求 time 为 -1，无响应的请求 status 为 0）
+         */
+        toHar() {
+            return {
+                log: {
+                    version: '1.2',
+                    creator: { name: 'my-local-agent', version: '1.0' },
+                    pages: [],
+                    entries: entries.map(({ startedAt, response, ...entry }) => ({
+                        ...entry,
+                        response: response || {
+                            status: 0, statusText: '', httpVersion: 'HTTP/1.1', headers: [], cookies: [],
+                            content: { size: -1, mimeType: '' }, redirectURL: '', headersSize: -1, bodySize: -1,
+                        },
+                    })),
+                },
+            };
+        },
+        detach() {
+            Object.entries(listeners).forEach(([event, listener]) => page.off(event, listener));
+            pending.clear();
+        },
+    };
+}
+
+/**
+ * 采集失败现场并上传，返回取证链接（写入失败任务记录的 failureEvidence）
+ * @param {Page} page - 失败时的任务页面
+ * @param {object|null} recorder - attachPageRecorder 的返回值
+ * @param {object} params
+ * @param {string} params.taskId
+ * @param {string} [params.workflowId]
+ * @param {object} [params.failedStep] - 失败步骤 { index, path, action, description }
+ * @param {Error} [params.error]
+ * @returns {Promise<object|null>} { bundleUrl, screenshotUrl, htmlUrl, consoleUrl, harUrl, pageUrl, capturedAt, errors? }，
+ *          取证关闭，或页面已关闭且没有记录时返回 null
+ */
+async function captureFailureEvidence(page, recorder, { taskId, workflowId, failedStep = null, error = null }) {
+    const pageOpen = !!page && !page.isClosed();
+    if (!isEvidenceEnabled() || (!pageOpen && !recorder)) return null;
+
+    const capturedAt = new Date();
+    const prefix = `failure_${capturedAt.getTime()}`;
+    const pageUrl = page ? redactUrl(page.url()) : null;
+    const errors = [];
+    const links = {};
+
+    const upload = async (name, linkKey, contentType, produce) => {
+        try {
+            const body = await produce();
+            links[linkKey] = await uploadArtifact(body, { taskId, fileName: `${prefix}_${name}`, contentType, workflowId });
+        } catch (e) {
+            errors.push(`${name}: ${e.message}`);
+        }
+    };
+
+    console.log(`[EXECUTOR] 正在采集失败现场: ${pageUrl}`);
+    if (pageOpen) {
+        await upload('screenshot.png', 'screenshotUrl', 'image/png', () => withTimeout(page.screenshot({ fullPage: true }), '整页截图'));
+        await upload('page.html', 'htmlUrl', 'text/html', async () => Buffer.from(await withTimeout(page.content(), '读取 HTML')));
+    } else {
+        errors.push('页面已关闭，跳过截图与 HTML');
+    }
+
+    const consoleMessages = recorder ? recorder.consoleMessages.slice() : [];
+    const har = recorder ? recorder.toHar() : null;
+    if (recorder) {
+        await upload('console.json', 'consoleUrl', 'application/json', () => Buffer.from(JSON.stringify(consoleMessages, null, 2)));
+        await upload('network.har', 'harUrl', 'application/json', () => Buffer.from(JSON.stringify(har)));
+    }
+
+    const failedRequests = har
+        ? har.log.entries
+            .filter(entry => entry._failureText || entry.response.status >= 400)
+            .map(entry => ({ method: entry.request.method, url: entry.request.url, status: entry.response.status, failure: entry._failureText || null }))
+        : [];
+    const consoleErrors = consoleMessages.filter(message => message.type === 'error' || message.type === 'pageerror');
+
+    await upload('evidence.json', 'bundleUrl', 'application/json', () => Buffer.from(JSON.stringify({
+        taskId,
+        workflowId: workflowId || null,
+        capturedAt: capturedAt.toISOString(),
+        pageUrl,
+        failedStep,
+        error: error ? error.message : null,
+        files: { ...links },
+        consoleErrors: consoleErrors.slice(-20),
+        failedRequests: failedRequests.slice(-20),
+        ...(errors.length > 0 && { errors: errors.slice() }),
+    }, null, 2)));
+
+    if (errors.length > 0) console.warn(`[EXECUTOR] 失败现场部分采集失败: ${errors.join('; ')}`);
+    return {
+        ...links,
+        pageUrl,
+        capturedAt,
+        consoleErrorCount: consoleErrors.length,
+        failedRequestCount: failedRequests.length,
+        ...(errors.length > 0 && { errors }),
+    };
+}
+
+module.exports = { attachPageRecorder, captureFailureEvidence };
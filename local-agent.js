@@ -1,7 +1,31 @@
 /**
  * @file local-agent.js
- * @version 3.2 - Persistence Fix
- * @description [核心修复] 增加了数据持久化逻辑，解决了日报数据抓取后刷新丢失的问题。
+ * @version 3.8 - Failure Evidence
+ * @description 本地自动化代理 - 轮询 automation-tasks 中的待处理任务并执行。
+ *
+ * v3.8 变更：
+ * - [取证] 失败任务的记录带 failedStep（失败步骤）与 failureEvidence（截图、HTML、控制台、HAR 请求日志的链接），由执行器采集上传。
+ *
+ * v3.7 变更：
+ * - [登录态] 登录后启动 session-monitor 定时探测各账号登录态；账号未登录期间不领取该账号的任务，探测到重新登录后自动恢复。
+ * - [登录态] 任务返回 LOGIN_REQUIRED 时立即标记账号未登录（不再按冷却时间恢复）。
+ *
+ * v3.6 变更：
+ * - [风控] 任务因登录墙 / 验证码 / 风控失败（errorCode 为 LOGIN_REQUIRED / CAPTCHA / RISK_CONTROL）时，
+ *   该账号暂停领取任务 AGENT_RISK_COOLDOWN_MS（默认 10 分钟），其它账号的任务不受影响；errorCode 随结果写入任务记录。
+ *
+ * v3.5 变更：
+ * - [Cookie] COOKIE_STORE=file|mongo 时，任务执行前注入账号 Cookie、成功后写回被轮换的 Cookie。
+ *
+ * v3.4 变更：
+ * - [多账号] 任务的 accountId 由 account-registry 解析，在对应账号的浏览器 profile 中执行；任务成功后记录账号登录状态。
+ * - [多账号] 启动时的扫码登录针对默认账号（LOGIN_ACCOUNT_ID 可指定其它账号）。
+ *
+ * v3.3 变更：
+ * - [并发] 每轮轮询最多锁定页面池大小（BROWSER_POOL_SIZE，可用 AGENT_CONCURRENCY 单独限制）的任务并发执行，不再逐个串行处理。
+ * - [并发] 任务的 accountId 传给执行器，同一账号的任务在页面池中串行执行。
+ *
+ * v3.2 [核心修复] 增加了数据持久化逻辑，解决了日报数据抓取后刷新丢失的问题。
  * - [新增逻辑] 在 `processNextTask` 函数中，当一个任务成功完成后，本代理现在会主动调用 `/daily-stats` API。
  * - [功能] 将抓取到的播放量 (`播放量`) 连同 `projectId` 和 `reportDate` 一起发送，确保数据被永久写入到 `works` 集合的 `dailyStats` 数组中。
  * - [健壮性] 此修改确保了自动化流程的数据闭环，即使前端页面关闭，数据也能被正确保存。
@@ -12,7 +36,12 @@ const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
 const readline = require('readline');
-const { executeActions, handleLogin } = require('./puppeteer-executor');
+const { executeActions, handleLogin, getPoolStats, probeSession } = require('./puppeteer-executor');
+const { parseNumericValue } = require('./value-transforms');
+const { createAccountRegistry, DEFAULT_ACCOUNT_ID } = require('./account-registry');
+const { createCookieStore } = require('./cookie-store');
+const { RISK_CODES } = require('./risk-detector');
+const { createSessionMonitor } = require('./session-monitor');
 const axios = require('axios'); // 引入 axios 用于 API 请求
 
 // --- 配置 ---
@@ -21,12 +50,23 @@ const DB_NAME = process.env.DB_NAME || 'kol_data';
 const POLLING_INTERVAL = parseInt(process.env.POLLING_INTERVAL_MS, 10) || 5000;
 const AGENT_ID = `agent-${uuidv4()}`;
 const WATCH_MODE = process.argv.includes('--watch');
+// 同时处理的任务数上限，默认与页面池大小一致
+const AGENT_CONCURRENCY = parseInt(process.env.AGENT_CONCURRENCY, 10) || getPoolStats().size;
+// 账号触发登录墙 / 验证码 / 风控后暂停领取该账号任务的时长
+const AGENT_RISK_COOLDOWN_MS = parseInt(process.env.AGENT_RISK_COOLDOWN_MS, 10) || 10 * 60 * 1000;
 // [新增] 后端API网关地址，用于调用 /daily-stats
 const API_BASE_URL = 'https://sd2pl0r2pkvfku8btbid0.apigateway-cn-shanghai.volceapi.com';
 
 // --- 数据库客户端 ---
 const client = new MongoClient(MONGO_URI);
 let db;
+let accountRegistry;
+let cookieStore;
+let sessionMonitor;
+// 正在执行的任务数
+let activeTasks = 0;
+// 暂停领取任务的账号: accountId -> 恢复时间戳
+const accountCooldowns = new Map();
 
 /**
  * [新增] 调用后端 API 将抓取结果持久化到 works 集合
@@ -47,12 +87,14 @@ async function persistScrapedData(task) {
     console.log(`[AGENT-PERSIST] 准备将任务 ${task._id} 的结果持久化到 works 集合...`);
 
     try {
+        // 播放量按整数计数存储（parseNumericValue 保留小数）
+        const parsedViews = parseNumericValue(views);
         const payload = {
             projectId: projectId,
             date: reportDate,
             data: [{
                 collaborationId: collaborationId,
-                totalViews: parseInt(String(views).replace(/,/g, ''), 10)
+                totalViews: parsedViews === null ? null : Math.round(parsedViews)
             }]
         };
 
@@ -71,30 +113,73 @@ async function persistScrapedData(task) {
 
 
 /**
- * 主处理函数
+ * 暂停领取任务的账号：处于冷却期的账号（过期的冷却在此清除）及登录态监控判定未登录的账号
  */
-async function processNextTask() {
-    let task = null;
+function getPausedAccounts() {
+    const now = Date.now();
+    for (const [accountId, until] of accountCooldowns) {
+        if (until <= now) {
+            accountCooldowns.delete(accountId);
+            console.log(`[AGENT] 账号 ${accountId} 冷却结束，恢复领取任务`);
+        }
+    }
+    return [...new Set([...accountCooldowns.keys(), ...sessionMonitor.getPausedAccounts()])];
+}
+
+/**
+ * 任务因登录墙 / 验证码 / 风控失败时暂停领取该账号的任务：
+ * 登录墙交给登录态监控（探测到重新登录后恢复），验证码 / 风控按冷却时间恢复
+ */
+async function pauseAccountOnRisk(task, executionResult) {
+    const { errorCode } = executionResult;
+    if (!Object.values(RISK_CODES).includes(errorCode)) return;
+    const accountId = task.accountId || DEFAULT_ACCOUNT_ID;
+    if (errorCode === RISK_CODES.LOGIN_REQUIRED) {
+        await sessionMonitor.markLoggedOut(executionResult.accountId, { reason: '任务检测到登录墙', url: executionResult.risk?.url })
+            .catch(e => console.warn(`[AGENT] 记录登录态失败: ${e.message}`));
+        console.error(`[AGENT] 账号 ${accountId} 登录态已失效，暂停领取该账号任务；请重新扫码登录（LOGIN_ACCOUNT_ID=${accountId}）或更新该账号的 Cookie`);
+        return;
+    }
+    accountCooldowns.set(accountId, Date.now() + AGENT_RISK_COOLDOWN_MS);
+    console.error(`[AGENT] 账号 ${accountId} 触发 ${errorCode}，暂停领取该账号任务 ${Math.round(AGENT_RISK_COOLDOWN_MS / 60000)} 分钟`);
+    console.error(`[AGENT] 请在浏览器中处理验证码 / 风控提示，冷却结束后自动恢复`);
+}
+
+/**
+ * 锁定下一个待处理任务
+ * @returns {Promise<object|null>} 锁定的任务，没有待处理任务时返回 null
+ */
+async function claimNextTask() {
+    const tasksCollection = db.collection('automation-tasks');
+    const filter = { status: 'pending' };
+    const pausedAccounts = getPausedAccounts();
+    if (pausedAccounts.length > 0) {
+        // 未指定 accountId 的任务属于默认账号（$nin 中的 null 同时匹配缺失字段）
+        filter.accountId = { $nin: pausedAccounts.flatMap(id => (id === DEFAULT_ACCOUNT_ID ? [id, null] : [id])) };
+    }
+
+    const updatedTask = await tasksCollection.findOneAndUpdate(
+        filter,
+        { $set: { status: 'processing', agentId: AGENT_ID, processingAt: new Date() } },
+        { sort: { createdAt: 1 }, returnDocument: 'after' }
+    );
+
+    if (!updatedTask && WATCH_MODE && activeTasks === 0) {
+        const timestamp = new Date().toISOString();
+        process.stdout.write(`[${timestamp}] 未发现待处理任务...\r`);
+    }
+    return updatedTask;
+}
+
+/**
+ * 主处理函数：执行已锁定的任务并回写结果
+ * @param {object} task - claimNextTask 锁定的任务
+ */
+async function processTask(task) {
     try {
         const tasksCollection = db.collection('automation-tasks');
         const workflowsCollection = db.collection('automation-workflows');
 
-        const updatedTask = await tasksCollection.findOneAndUpdate(
-            { status: 'pending' },
-            { $set: { status: 'processing', agentId: AGENT_ID, processingAt: new Date() } },
-            { sort: { createdAt: 1 }, returnDocument: 'after' }
-        );
-
-        if (!updatedTask) {
-            if (WATCH_MODE) {
-                const timestamp = new Date().toISOString();
-                process.stdout.write(`[${timestamp}] 未发现待处理任务...\r`);
-            }
-            return false;
-        }
-        
-        task = updatedTask;
-
         console.log(`\n[AGENT] 成功锁定任务: ${task._id}, 开始处理...`);
         
         const workflow = await workflowsCollection.findOne({ _id: new ObjectId(task.workflowId) });
@@ -103,7 +188,22 @@ async function processNextTask() {
             throw new Error(`数据库中无法找到 ID 为 ${task.workflowId} 的工作流。`);
         }
         
-        const executionResult = await executeActions(task, workflow);
+        const executionResult = await executeActions(task, workflow, {
+            loadWorkflow: (workflowId) => workflowsCollection.findOne({ _id: new ObjectId(workflowId) }),
+            loadAccount: (accountId) => accountRegistry.getAccount(accountId),
+            cookieStore,
+            accountId: task.accountId
+        });
+        if (executionResult.accountId) {
+            await accountRegistry.recordTaskOutcome(executionResult.accountId, executionResult)
+                .catch(e => console.warn(`[AGENT] 记录账号状态失败: ${e.message}`));
+        }
+        await pauseAccountOnRisk(task, executionResult);
+        if (executionResult.failureEvidence?.bundleUrl) {
+            const { failedStep } = executionResult;
+            const stepText = failedStep ? `步骤 ${failedStep.path}（${failedStep.action}）` : '';
+            console.log(`[AGENT] 任务 ${task._id} ${stepText}失败，现场取证: ${executionResult.failureEvidence.bundleUrl}`);
+        }
 
         await tasksCollection.updateOne(
             { _id: new ObjectId(task._id) },
@@ -127,21 +227,19 @@ async function processNextTask() {
 
     } catch (error) {
         console.error(`[AGENT] 处理任务时发生严重错误: ${error.message}`);
-        if (task && task._id) {
-            console.log(`[AGENT] 正在将任务 ${task._id} 的状态更新为 'failed'`);
-            const tasksCollection = db.collection('automation-tasks');
-            await tasksCollection.updateOne(
-                { _id: new ObjectId(task._id) },
-                {
-                    $set: {
-                        status: 'failed',
-                        updatedAt: new Date(),
-                        errorMessage: error.stack,
-                    }
+        console.log(`[AGENT] 正在将任务 ${task._id} 的状态更新为 'failed'`);
+        const tasksCollection = db.collection('automation-tasks');
+        await tasksCollection.updateOne(
+            { _id: new ObjectId(task._id) },
+            {
+                $set: {
+                    status: 'failed',
+                    updatedAt: new Date(),
+                    errorMessage: error.stack,
                 }
-            );
-            await recalculateAndSyncJobStats(task.jobId, db);
-        }
+            }
+        );
+        await recalculateAndSyncJobStats(task.jobId, db);
         return false;
     }
 }
@@ -209,10 +307,21 @@ async function recalculateAndSyncJobStats(jobId, db) {
 
 
 /**
- * 主循环函数
+ * 主循环函数：补足空闲名额后等待下一轮轮询
  */
 async function mainLoop() {
-    await processNextTask();
+    try {
+        while (activeTasks < AGENT_CONCURRENCY) {
+            const task = await claimNextTask();
+            if (!task) break;
+            activeTasks++;
+            processTask(task)
+                .catch(error => console.error(`[AGENT] 任务 ${task._id} 状态回写失败: ${error.message}`))
+                .finally(() => { activeTasks--; });
+        }
+    } catch (error) {
+        console.error(`[AGENT] 锁定任务时发生错误: ${error.message}`);
+    }
     setTimeout(mainLoop, POLLING_INTERVAL);
 }
 
@@ -221,14 +330,20 @@ async function mainLoop() {
  */
 async function start() {
     console.log(`[AGENT] 启动本地自动化代理... ID: ${AGENT_ID}`);
-    console.log(`[AGENT] 运行模式: ${WATCH_MODE ? '常驻监听' : '按需执行'}`);
+    console.log(`[AGENT] 运行模式: ${WATCH_MODE ? '常驻监听' : '按需执行'}，最多并发 ${AGENT_CONCURRENCY} 个任务`);
     try {
         await client.connect();
         db = client.db(DB_NAME);
+        accountRegistry = createAccountRegistry(db);
+        cookieStore = createCookieStore(process.env.COOKIE_STORE, { db });
         console.log('[DB] 成功连接到 MongoDB。');
 
         console.log('\n--- 登录流程 ---');
-        await handleLogin();
+        const loginAccount = await accountRegistry.getAccount(process.env.LOGIN_ACCOUNT_ID);
+        if (!loginAccount) {
+            throw new Error(`账号不存在: ${process.env.LOGIN_ACCOUNT_ID}`);
+        }
+        await handleLogin(loginAccount);
         
         const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
         console.log(`\n[AGENT] 请在弹出的浏览器窗口中手动完成扫码登录。`);
@@ -237,6 +352,13 @@ async function start() {
         await new Promise(resolve => rl.question('', resolve));
         rl.close();
         
+        sessionMonitor = createSessionMonitor({
+            db,
+            accountRegistry,
+            probe: accountId => probeSession({ accountId, loadAccount: id => accountRegistry.getAccount(id), cookieStore })
+        });
+        await sessionMonitor.start();
+
         console.log('\n--- 任务处理 ---');
         mainLoop();
 
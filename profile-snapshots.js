@@ -0,0 +1,184 @@
+/**
+ * @file profile-snapshots.js
+ * @version 1.0
+ * @description 浏览器 profile 快照 - 替换 / 恢复账号 profile 前归档当前 profile（排除 Singleton* 锁文件），支持列出、恢复与清理，
+ * 取代在 ECS 上 mv user_data_agent user_data_agent.backup.<时间> 且从不清理的备份方式
+ *
+ * 快照目录（PROFILE_SNAPSHOT_DIR，默认 profile_snapshots/）: <accountId>/<snapshotId>.tar.gz，元数据为同名 .json：
+ * { snapshotId, accountId, userDataDir, reason, createdAt, size, lastLoginAt, loggedIn }
+ * - reason: manual | before_upload | before_restore
+ * - lastLoginAt / loggedIn: 归档时该账号最近一次登录探测成功的时间、最近一次探测结果（来自 session-monitor）
+ *
+ * 每个账号保留最近 PROFILE_SNAPSHOT_KEEP 个快照（默认 5），另外始终保留归档时已登录的最新快照，保证有可回滚的版本。
+ * installProfile / restoreSnapshot 会替换 profile 目录，调用方需确保没有浏览器在使用该 profile（见执行器 runWithProfileStopped）。
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { extractProfileArchive } = require('./credential-upload');
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_SNAPSHOT_DIR = path.join(__dirname, 'profile_snapshots');
+const SNAPSHOT_ID_PATTERN = /^[\w-]+$/;
+
+function parsePositiveInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * 快照 ID：归档时间（UTC）+ 随机后缀，按字典序即按时间排序
+ */
+function createSnapshotId() {
+    const timestamp = new Date().toISOString().replace(/[-:.]/g, '').replace('T', '-').slice(0, 18);
+    return `${timestamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * 用新目录替换 profile 目录：原目录先改名再删除，任一步失败时还原，profile 目录始终完整存在
+ * @param {object} account - 含 userDataDir
+ * @param {string} newDir - 新 profile 目录（需与 userDataDir 位于同一文件系统）
+ */
+async function installProfile(account, newDir) {
+    const { userDataDir } = account;
+    const replacedDir = `${userDataDir}.replaced`;
+    await fs.promises.rm(replacedDir, { recursive: true, force: true });
+
+    const hadProfile = fs.existsSync(userDataDir);
+    if (hadProfile) await fs.promises.rename(userDataDir, replacedDir);
+    try {
+        await fs.promises.rename(newDir, userDataDir);
+    } catch (error) {
+        if (hadProfile) await fs.promises.rename(replacedDir, userDataDir);
+        throw new Error(`安装 profile 失败: ${error.message}`);
+    }
+    await fs.promises.rm(replacedDir, { recursive: true, force: true });
+}
+
+/**
+ * 创建快照管理
+ * @param {object} [options]
+ * @param {string} [options.dir] - 快照目录，默认 PROFILE_SNAPSHOT_DIR 或 profile_snapshots/
+ * @param {number} [options.keep] - 每个账号保留的快照数，默认 PROFILE_SNAPSHOT_KEEP 或 5
+ */
+function createProfileSnapshots({
+    dir = process.env.PROFILE_SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR,
+    keep = parsePositiveInt(process.env.PROFILE_SNAPSHOT_KEEP, 5),
+} = {}) {
+    const accountDir = accountId => path.join(dir, accountId);
+    const archivePath = (accountId, snapshotId) => path.join(accountDir(accountId), `${snapshotId}.tar.gz`);
+    const metaPath = (accountId, snapshotId) => path.join(accountDir(accountId), `${snapshotId}.json`);
+
+    /**
+     * 归档账号当前的 profile，profile 目录不存在时返回 null
+     * @param {object} account - 含 accountId / userDataDir
+     * @param {{ reason?: string, lastLoginAt?: Date|string|null, loggedIn?: boolean|null }} [detail]
+     * @returns {Promise<object|null>} 快照元数据
+     */
+    async function createSnapshot(account, { reason = 'manual', lastLoginAt = null, loggedIn = null } = {}) {
+        if (!fs.existsSync(account.userDataDir)) return null;
+        const snapshotId = createSnapshotId();
+        const archive = archivePath(account.accountId, snapshotId);
+        await fs.promises.mkdir(accountDir(account.accountId), { recursive: true });
+
+        try {
+            await execFileAsync('tar', ['-czf', archive, '--exclude=Singleton*', '-C', account.userDataDir, '.'], { maxBuffer: 10 * 1024 * 1024 });
+        } catch (error) {
+            await fs.promises.rm(archive, { force: true });
+            throw new Error(`归档 profile 失败: ${(error.stderr || error.message).toString().trim()}`);
+        }
+
+        const meta = {
+            snapshotId,
+            accountId: account.accountId,
+            userDataDir: account.userDataDir,
+            reason,
+            createdAt: new Date().toISOString(),
+            size: (await fs.promises.stat(archive)).size,
+            lastLoginAt: lastLoginAt ? new Date(lastLoginAt).toISOString() : null,
+            loggedIn: typeof loggedIn === 'boolean' ? loggedIn : null,
+        };
+        await fs.promises.writeFile(metaPath(account.accountId, snapshotId), JSON.stringify(meta, null, 2));
+        console.log(`[SNAPSHOT] 已归档账号 ${account.accountId} 的 profile: ${snapshotId}（${reason}，${Math.round(meta.size / 1024 / 1024)}MB）`);
+        return meta;
+    }
+
+    /**
+     * 账号的快照列表（新的在前）
+     */
+    async function listSnapshots(accountId) {
+        let files;
+        try {
+            files = await fs.promises.readdir(accountDir(accountId));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const metas = await Promise.all(files
+            .filter(file => file.endsWith('.json'))
+            .map(async file => {
+                try {
+                    return JSON.parse(await fs.promises.readFile(path.join(accountDir(accountId), file), 'utf-8'));
+                } catch (e) {
+                    console.warn(`[SNAPSHOT] 跳过无法读取的快照元数据 ${file}: ${e.message}`);
+                    return null;
+                }
+            }));
+        return metas
+            .filter(meta => meta && fs.existsSync(archivePath(accountId, meta.snapshotId)))
+            .sort((a, b) => b.snapshotId.localeCompare(a.snapshotId));
+    }
+
+    /**
+     * 查找快照，不存在时返回 null
+     */
+    async function getSnapshot(accountId, snapshotId) {
+        if (!SNAPSHOT_ID_PATTERN.test(snapshotId || '')) return null;
+        return (await listSnapshots(accountId)).find(meta => meta.snapshotId === snapshotId) || null;
+    }
+
+    /**
+     * 把快照恢复为账号的 profile：先解压到 <userDataDir>.restoring，完整解压后再替换
+     */
+    async function restoreSnapshot(account, snapshotId) {
+        const meta = await getSnapshot(account.accountId, snapshotId);
+        if (!meta) throw new Error(`快照不存在: ${account.accountId}/${snapshotId}`);
+
+        const restoringDir = `${account.userDataDir}.restoring`;
+        await fs.promises.rm(restoringDir, { recursive: true, force: true });
+        try {
+            await extractProfileArchive(archivePath(account.accountId, snapshotId), restoringDir);
+            await installProfile(account, restoringDir);
+        } finally {
+            await fs.promises.rm(restoringDir, { recursive: true, force: true });
+        }
+        console.log(`[SNAPSHOT] 账号 ${account.accountId} 的 profile 已恢复到快照 ${snapshotId}`);
+        return meta;
+    }
+
+    /**
+     * 清理旧快照：保留最近 keep 个，以及归档时已登录的最新快照
+     * @returns {Promise<string[]>} 删除的快照 ID
+     */
+    async function pruneSnapshots(accountId) {
+        const snapshots = await listSnapshots(accountId);
+        const lastGood = snapshots.find(meta => meta.loggedIn === true);
+        const removed = snapshots
+            .slice(keep)
+            .filter(meta => meta !== lastGood)
+            .map(meta => meta.snapshotId);
+        for (const snapshotId of removed) {
+            await fs.promises.rm(archivePath(accountId, snapshotId), { force: true });
+            await fs.promises.rm(metaPath(accountId, snapshotId), { force: true });
+        }
+        if (removed.length > 0) console.log(`[SNAPSHOT] 已清理账号 ${accountId} 的 ${removed.length} 个旧快照`);
+        return removed;
+    }
+
+    return { createSnapshot, listSnapshots, getSnapshot, restoreSnapshot, pruneSnapshots };
+}
+
+module.exports = { createProfileSnapshots, installProfile };
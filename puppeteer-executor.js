@@ -4,55 +4,111 @@
  * @description [架构升级] 引擎已升级，支持动态导航和参数化。
  * - [核心改造] executeActions 函数不再硬编码导航URL，而是依赖工作流的第一个 'Go to URL' 步骤。
  * - [新增功能] 支持在工作流步骤中使用 {{xingtuId}} 和 {{taskId}} 等占位符，执行时会自动替换为任务的实际参数。
+ *
+ * v22.1 变更：
+ * - [新增功能] 支持 if/else 条件分支步骤，可按元素是否存在、页面文本、已提取数据等条件选择执行路径。
+ * - [新增功能] 支持 forEach 循环步骤，对匹配到的每个元素执行子步骤，结果以对象数组形式写入 results.data。
+ * - [新增功能] 新增 extractTable 动作，按列定义将表格/列表网格提取为行对象数组，支持点击“下一页”自动翻页。
+ * - [新增功能] 新增 captureResponse 动作及工作流级 responseCaptures，直接从接口 JSON 响应中按路径取值，替代 DOM 文本抓取。
+ *   wait: true 时先注册监听再执行 trigger 子步骤（触发请求的点击 / 导航）；预检、重定向、无响应体或非 JSON 的响应会被跳过；超时后移除监听。
+ * - [健壮性] 每个步骤支持 timeout / retries / retryDelay / onError（fail | continue | skip），不再硬编码等待时间。
+ * - [健壮性] 执行前使用 workflow-validator 校验工作流，未知动作、缺失参数直接返回失败；未声明的占位符只记录警告（执行时原样保留）。
+ * - [新增功能] 占位符替换改由 template-engine 在每个步骤执行前完成：支持嵌套参数、metadata / 已提取数据引用、默认值与过滤器。
+ * - [新增功能] extractData / compositeExtract 支持 transform 类型转换（数值、正则、日期等），原始文本保存在 result.rawData 中。
+ * - [新增功能] 新增 runWorkflow 动作，按 ID 加载并执行子工作流（输入映射、命名空间合并结果、循环引用检测），实现工作流拼接。
+ * - [新增功能] 新增表单交互动作 type / select / hover / press / uploadFile / setDateRange，支持模拟人工输入节奏，参数同样支持占位符。
+ *   uploadFile 的 files 相对上传目录（UPLOAD_DIR，默认 ./uploads）解析，越出该目录的路径直接报错。
+ * - [新增功能] screenshot 支持 stitched: 'page' 页面级长截图：滚动窗口逐屏截取并拼接，吸顶/悬浮元素只保留一次，可通过 hideSelectors 隐藏浮动组件。
+ * - [新增功能] screenshot 支持 mask 遮罩（模糊 / 涂黑敏感区域）及 watermark 水印说明（截图时间、任务 ID、达人名称），上传前由 sharp 合成。
+ * - [新增功能] 截图视觉回归检测（visual-regression）：与同一工作流上次成功执行的截图对比差异分数，空白 / 过小 / 差异过大时写入 visualAlerts 并标记 needsReview。
+ * - [新增功能] 新增 savePage 动作，保存打印样式 PDF 和 / 或 MHTML 网页快照作为审计存档，上传后列在 result.archives 中（含 MIME 类型）。
+ * - [新增功能] 截图支持工作流级 / 步骤级 imageOptions：输出格式（png / jpeg / webp）、质量、maxWidth 缩放、pageHeight 分页，上传时使用对应 Content-Type，并在 screenshots 中记录尺寸。
+ * - [架构调整] 截图 / 存档上传改由 artifact-storage 完成（TOS、S3 兼容、本地磁盘，STORAGE_BACKEND 选择），不再在加载模块时创建 TOS 客户端。
+ * - [架构调整] 浏览器改由 browser-launcher 启动：自动查找 macOS / Linux 上的 Chrome，支持 CHROME_PATH、BROWSER_HEADLESS 等环境变量及启动配置（profile）。
+ * - [新增功能] 任务页面改由 browser-pool 页面池租用：多个任务可在同一浏览器中并发执行（BROWSER_POOL_SIZE），同一账号的任务按 options.accountId 串行；getPoolStats 返回执行中 / 排队数量。
+ * - [新增功能] 多账号：options.accountId 指定执行账号，由 options.loadAccount（account-registry）解析，每个账号使用独立的浏览器 profile；未指定时使用默认账号（user_data_agent）。
+ * - [新增功能] 传入 options.cookieStore（cookie-store，文件或 MongoDB）时，首次导航前注入账号 Cookie，任务成功后写回被轮换的 Cookie。
+ * - [健壮性] 导航、点击后及步骤失败时由 risk-detector 检测登录跳转 / 滑块 / 短信验证 / 风控弹窗 / 无权限页，失败结果带 errorCode（LOGIN_REQUIRED | CAPTCHA | RISK_CONTROL），此类错误不重试、不受 onError 影响。
+ * - [修复] 导出 detectSliderCaptcha（VNC 恢复接口依赖），页面为空时返回 false。
+ * - [新增功能] options.onProgress / options.onPause（VNC 模式）：顶层步骤开始时推送进度；步骤触发验证码（CAPTCHA）时调用 onPause(taskId, pauseInfo, page)
+ *   并等待其 resolve（人工处理验证码后恢复），然后重新执行该步骤，同一步骤最多暂停 MAX_CAPTCHA_PAUSES 次；
+ *   CAPTCHA_PAUSE_TIMEOUT_MS（默认 10 分钟）内未恢复则以验证码错误终止任务。暂停与重新执行只发生在触发验证码的最内层步骤，
+ *   外层 if / forEach / runWorkflow 不再重复暂停或重新执行整个分支。
+ * - [新增功能] probeSession：在账号的浏览器中打开探测页面（SESSION_PROBE_URL），跳转到登录页即判定登录态失效，供 session-monitor 定时探测。
+ * - [新增功能] probeCredentials：用独立浏览器验证上传的 Cookie / profile；runWithProfileStopped：由页面池排空账号（等待其全部任务结束、暂停新任务）并关闭账号浏览器后独占 profile 目录（替换 / 恢复 profile）。
+ * - [新增功能] 失败现场取证（failure-evidence）：任务失败时上传整页截图、HTML、控制台消息与 HAR 请求日志，失败结果带 failureEvidence（链接）
+ *   及 failedStep（失败步骤的序号、路径与动作，路径格式同工作流校验，如 steps[27].then[1]）。
  */
-const puppeteer = require('puppeteer-core');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const readline = require('readline');
 const sharp = require('sharp');
-const { TosClient } = require('@volcengine/tos-sdk');
-
-// --- 全局浏览器实例与配置 ---
-let browser = null;
-const userDataDir = path.join(__dirname, 'user_data_agent');
-
-// --- TOS 客户端初始化 ---
-const tosClient = new TosClient({
-    accessKeyId: process.env.TOS_ACCESS_KEY_ID,
-    accessKeySecret: process.env.TOS_SECRET_ACCESS_KEY,
-    endpoint: process.env.TOS_ENDPOINT,
-    region: process.env.TOS_REGION,
-});
+const { validateWorkflow } = require('./workflow-validator');
+const { renderTemplate, formatDate } = require('./template-engine');
+const { applyTransform } = require('./value-transforms');
+const { compareWithBaseline, saveBaseline } = require('./visual-regression');
+const { uploadArtifact } = require('./artifact-storage');
+const { launchBrowser, applyProxyAuth, getDefaultWorkerProfile } = require('./browser-launcher');
+const { createBrowserPool } = require('./browser-pool');
+const { getBuiltinDefaultAccount, normalizeAccount, DEFAULT_ACCOUNT_ID } = require('./account-registry');
+const { toCookieParams, getCookieUrls, cookiesChanged, mergeCookies } = require('./cookie-store');
+const { RiskDetectedError, detectRisk, assertNoRisk, detectSliderCaptcha, isLoginUrl, RISK_CODES } = require('./risk-detector');
+const { attachPageRecorder, captureFailureEvidence } = require('./failure-evidence');
 
-/**
- * 上传文件 Buffer 到 TOS
- */
-async function uploadToTOS(buffer, taskId, fileName) {
-    const bucketName = process.env.TOS_BUCKET_NAME;
-    const objectKey = `automation_screenshots/${taskId}/${fileName}`;
-    try {
-        await tosClient.putObject({
-            bucket: bucketName,
-            key: objectKey,
-            body: buffer,
-            headers: { 'Content-Type': 'image/png' }
-        });
-        const fileUrl = `https://${bucketName}.${process.env.TOS_ENDPOINT}/${objectKey}`;
-        console.log(`[EXECUTOR] 成功上传截图到TOS: ${fileUrl}`);
-        return fileUrl;
-    } catch (error) {
-        console.error(`[EXECUTOR] TOS上传失败: `, error);
-        throw new Error(`Failed to upload ${fileName} to TOS.`);
-    }
-}
+// --- 全局浏览器实例与配置：每个账号 profile（userDataDir）对应一个浏览器实例 ---
+const browsers = new Map();
+// 浏览器启动中的 Promise，避免页面池并发租用时重复启动（同一 userDataDir 只能被一个浏览器使用）
+const browserLaunching = new Map();
+// 未提供账号注册表或未指定账号时使用的默认账号（user_data_agent）
+const defaultAccount = normalizeAccount(getBuiltinDefaultAccount());
+// 页面池中的账号 -> profile 目录，执行任务前解析账号时登记
+const accountProfiles = new Map();
+
+// 登录态探测页面（达人主页，未登录时跳转到带 redirect_uri 的登录页）
+const SESSION_PROBE_URL = process.env.SESSION_PROBE_URL || 'https://www.xingtu.cn/ad/creator/author-homepage/douyin-video/7211005162712727610';
+// 探测页面加载后等待前端跳转的时间（毫秒）
+const SESSION_PROBE_SETTLE = 2000;
+// 同一步骤因验证码暂停等待人工处理的最大次数（VNC 模式）
+const MAX_CAPTCHA_PAUSES = 3;
+// 验证码暂停等待人工处理的最长时间（毫秒），超时后任务以验证码错误失败并释放页面池租约
+const CAPTCHA_PAUSE_TIMEOUT = parseInt(process.env.CAPTCHA_PAUSE_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+
+// 各类等待的默认超时时间（毫秒），可被步骤的 timeout / readyTimeout 参数覆盖
+const DEFAULT_TIMEOUTS = {
+    selector: 15000,
+    navigation: 60000,
+    pageReady: 20000,
+    networkIdle: 60000,
+};
+
+// type / setDateRange 逐字输入时字符间的平均间隔（毫秒），可被步骤的 delay 参数覆盖
+const DEFAULT_TYPING_DELAY = 80;
+// uploadFile 的文件根目录：files 按此目录解析，不允许越出（避免工作流上传 .env、Cookie 等本机文件）
+const UPLOAD_DIR = path.resolve(__dirname, process.env.UPLOAD_DIR || 'uploads');
+// select 动作在自定义下拉框中查找选项时使用的默认选择器
+const DEFAULT_OPTION_SELECTOR = '[role="option"], li';
+// 截图遮罩 blur 样式的高斯模糊强度
+const MASK_BLUR_SIGMA = 20;
+// 截图输出格式：MIME 类型、扩展名及单张图片的最大高度（WebP 上限 16383px、JPEG 上限 65535px，预留水印说明栏的高度）
+const IMAGE_FORMATS = {
+    png: { contentType: 'image/png', extension: 'png', maxHeight: Infinity },
+    jpeg: { contentType: 'image/jpeg', extension: 'jpg', maxHeight: 65000 },
+    webp: { contentType: 'image/webp', extension: 'webp', maxHeight: 16000 },
+};
+// savePage 支持的存档格式及其 MIME 类型
+const ARCHIVE_FORMATS = {
+    pdf: { extension: 'pdf', mimeType: 'application/pdf' },
+    mhtml: { extension: 'mhtml', mimeType: 'multipart/related' },
+};
 
 /**
  * [终极算法 v12.0 - 健壮性优化]
  */
-async function takeStitchedScreenshot(page, selector) {
+async function takeStitchedScreenshot(page, selector, timeout = DEFAULT_TIMEOUTS.selector) {
     console.log('[EXECUTOR] 启用“分段式智能裁剪”终极方案 (v12.0)...');
 
-    const element = await page.waitForSelector(selector, { visible: true, timeout: 15000 });
+    const element = await page.waitForSelector(selector, { visible: true, timeout });
     if (!element) throw new Error(`长截图失败：找不到元素 ${selector}`);
     
     // --- [核心优化：处理无需滚动的情况] ---
@@ -154,11 +210,21 @@ async function takeStitchedScreenshot(page, selector) {
         composedHeight += cropHeight;
     }
     
-    const finalBuffer = await sharp({
+    // 使用实际拼接的高度，避免因取整误差导致底部出现白边
+    const finalBuffer = await composeSegments(compositeParts, width, composedHeight);
+
+    console.log('[EXECUTOR] 像素级拼接完成，生成完美长图。');
+    return finalBuffer;
+}
+
+/**
+ * 辅助函数：将裁剪好的截图片段按 top 偏移合成为一张长图（元素级与页面级长截图共用）
+ */
+async function composeSegments(compositeParts, width, height) {
+    return sharp({
         create: {
             width: width,
-            // 使用实际拼接的高度，避免因取整误差导致底部出现白边
-            height: composedHeight, 
+            height: height,
             channels: 4,
             background: { r: 255, g: 255, b: 255, alpha: 1 }
         }
@@ -166,11 +232,367 @@ async function takeStitchedScreenshot(page, selector) {
     .composite(compositeParts)
     .png()
     .toBuffer();
+}
 
-    console.log('[EXECUTOR] 像素级拼接完成，生成完美长图。');
-    return finalBuffer;
+/**
+ * 辅助函数：隐藏 / 恢复页面级长截图中会重复出现的元素
+ * - hideFixed: 隐藏 fixed / sticky 定位的元素（吸顶导航、悬浮客服按钮等），避免在长图中反复出现
+ * - hideSelectors 指定的元素（如浮动广告、帮助按钮）在所有片段中隐藏
+ * 使用 visibility: hidden 隐藏，不改变页面布局；包含截图目标的祖先元素不会被隐藏
+ */
+async function setStitchHidden(page, { selector, hideSelectors = [], hideFixed = false }) {
+    await page.evaluate((targetSelector, extraSelectors, includeFixed) => {
+        if (!document.getElementById('__stitch_hidden_style')) {
+            const style = document.createElement('style');
+            style.id = '__stitch_hidden_style';
+            style.textContent = '[data-stitch-hidden] { visibility: hidden !important; }';
+            document.head.appendChild(style);
+        }
+        const target = targetSelector ? document.querySelector(targetSelector) : null;
+        const hide = el => {
+            if (!target || !el.contains(target)) el.setAttribute('data-stitch-hidden', '');
+        };
+        extraSelectors.forEach(sel => document.querySelectorAll(sel).forEach(hide));
+        if (includeFixed) {
+            document.querySelectorAll('body *').forEach(el => {
+                const { position } = window.getComputedStyle(el);
+                if (position === 'fixed' || position === 'sticky') hide(el);
+            });
+        }
+    }, selector || null, hideSelectors, hideFixed);
+}
+
+async function clearStitchHidden(page) {
+    await page.evaluate(() => {
+        document.querySelectorAll('[data-stitch-hidden]').forEach(el => el.removeAttribute('data-stitch-hidden'));
+        const style = document.getElementById('__stitch_hidden_style');
+        if (style) style.remove();
+    });
+}
+
+/**
+ * 页面级长截图：滚动整个窗口逐屏截图，再按文档坐标裁剪拼接
+ * 适用于随窗口滚动的区域（达人主页各模块、完整报告页），无需目标元素自身可滚动。
+ * - 未提供 selector 时截取整个页面，提供时只截取该元素在页面中的区域
+ * - 每次滚动后重新测量区域高度，兼容滚动时懒加载撑高的页面
+ * @param {object} [options] - hideSelectors: 始终隐藏的元素；maxSegments: 最多截取的屏数（默认 50）；timeout: 等待元素的超时
+ */
+async function takePageStitchedScreenshot(page, selector, options = {}) {
+    const { hideSelectors = [], maxSegments = 50, timeout = DEFAULT_TIMEOUTS.selector } = options;
+    console.log(`[EXECUTOR] 开始页面级长截图，目标区域: ${selector || '整个页面'}`);
+
+    if (selector) {
+        const element = await page.waitForSelector(selector, { visible: true, timeout });
+        if (!element) throw new Error(`页面级长截图失败：找不到元素 ${selector}`);
+    }
+
+    // 区域的文档坐标（CSS 像素）
+    const measureRegion = () => page.evaluate(sel => {
+        if (!sel) {
+            const root = document.scrollingElement || document.documentElement;
+            return { left: 0, top: 0, width: window.innerWidth, bottom: root.scrollHeight };
+        }
+        const rect = document.querySelector(sel).getBoundingClientRect();
+        return { left: rect.left + window.scrollX, top: rect.top + window.scrollY, width: rect.width, bottom: rect.bottom + window.scrollY };
+    }, selector || null);
+
+    const { viewportHeight, devicePixelRatio, originalScrollY } = await page.evaluate(() => ({
+        viewportHeight: window.innerHeight,
+        devicePixelRatio: window.devicePixelRatio,
+        originalScrollY: window.scrollY,
+    }));
+
+    const compositeParts = [];
+    let capturedUntil = null;
+    let composedHeight = 0;
+    let cropLeft = 0;
+    let cropWidth = 0;
+
+    try {
+        await setStitchHidden(page, { selector, hideSelectors });
+        let region = await measureRegion();
+        await page.evaluate(y => window.scrollTo(0, y), region.top);
+
+        for (let segment = 0; segment < maxSegments; segment++) {
+            // 整页截图时第一段保留吸顶/悬浮元素（与用户看到的页面顶部一致），之后的片段中隐藏，避免重复；
+            // 截取页面中部的元素时，吸顶元素会遮挡区域顶部，从第一段起就隐藏
+            if (segment === (selector ? 0 : 1)) await setStitchHidden(page, { selector, hideFixed: true });
+            try {
+                await page.waitForNetworkIdle({ idleTime: 500, timeout: 10000 });
+            } catch (e) {
+                console.warn('[EXECUTOR] 网络静默等待超时，继续截图。');
+            }
+
+            region = await measureRegion();
+            const scrollY = await page.evaluate(() => window.scrollY);
+            if (capturedUntil === null) {
+                capturedUntil = region.top;
+                cropLeft = Math.max(0, Math.round(region.left * devicePixelRatio));
+                cropWidth = Math.round(region.width * devicePixelRatio);
+            }
+
+            const buffer = await page.screenshot();
+            const { width: shotWidth, height: shotHeight } = await sharp(buffer).metadata();
+            // 只取本屏中尚未拼接过的部分：[capturedUntil, min(区域底部, 视口底部)]
+            const sliceTop = Math.max(capturedUntil, scrollY);
+            const sliceBottom = Math.min(region.bottom, scrollY + viewportHeight);
+            const top = Math.round((sliceTop - scrollY) * devicePixelRatio);
+            const height = Math.min(Math.round((sliceBottom - sliceTop) * devicePixelRatio), shotHeight - top);
+            cropWidth = Math.min(cropWidth, shotWidth - cropLeft);
+
+            if (height > 0 && cropWidth > 0) {
+                const cropped = await sharp(buffer)
+                    .extract({ left: cropLeft, top, width: cropWidth, height })
+                    .toBuffer();
+                compositeParts.push({ input: cropped, top: composedHeight, left: 0 });
+                composedHeight += height;
+                capturedUntil = sliceBottom;
+            }
+
+            if (capturedUntil >= region.bottom) break;
+            await page.evaluate(y => window.scrollTo(0, y), capturedUntil);
+            const scrolledTo = await page.evaluate(() => window.scrollY);
+            if (scrolledTo === scrollY) {
+                console.log('[EXECUTOR] 窗口滚动位置未再变化，已到达页面底部。');
+                break;
+            }
+        }
+    } finally {
+        await clearStitchHidden(page).catch(() => {});
+        await page.evaluate(y => window.scrollTo(0, y), originalScrollY).catch(() => {});
+    }
+
+    if (compositeParts.length === 0) throw new Error('未能捕获任何截图片段。');
+    console.log(`[EXECUTOR] 已捕获 ${compositeParts.length} 个截图片段，开始拼接...`);
+    return composeSegments(compositeParts, cropWidth, composedHeight);
+}
+
+
+/**
+ * 辅助函数：规范化截图步骤的 mask 配置为 [{ selector, style }]
+ * mask 可以是选择器字符串、字符串数组或 { selector, style } 对象数组；style 默认取步骤的 maskStyle（默认 blur）
+ */
+function normalizeMasks(step) {
+    const defaultStyle = step.maskStyle || 'blur';
+    return [].concat(step.mask || []).map(mask => (typeof mask === 'string'
+        ? { selector: mask, style: defaultStyle }
+        : { style: defaultStyle, ...mask }));
+}
+
+/**
+ * 辅助函数：计算遮罩元素相对于截图目标元素的区域（设备像素）
+ * 循环内只在当前迭代元素中查找遮罩元素
+ */
+async function collectMaskBoxes(ctx, target, masks) {
+    const targetBox = await target.boundingBox();
+    if (!targetBox) return [];
+    const dpr = await ctx.page.evaluate(() => window.devicePixelRatio);
+    const boxes = [];
+    for (const { selector, style } of masks) {
+        const elements = await (ctx.scope || ctx.page).$$(selector);
+        for (const element of elements) {
+            const box = await element.boundingBox();
+            await element.dispose();
+            if (!box) continue;
+            boxes.push({
+                style,
+                left: (box.x - targetBox.x) * dpr,
+                top: (box.y - targetBox.y) * dpr,
+                width: box.width * dpr,
+                height: box.height * dpr,
+            });
+        }
+    }
+    return boxes;
+}
+
+/**
+ * 辅助函数：用 sharp 将遮罩区域模糊（blur）或涂黑（black），超出图片范围的部分自动裁掉
+ */
+async function applyMaskBoxes(buffer, boxes) {
+    const { width, height } = await sharp(buffer).metadata();
+    const overlays = [];
+    for (const box of boxes) {
+        const left = Math.max(0, Math.floor(box.left));
+        const top = Math.max(0, Math.floor(box.top));
+        const right = Math.min(width, Math.ceil(box.left + box.width));
+        const bottom = Math.min(height, Math.ceil(box.top + box.height));
+        if (right <= left || bottom <= top) continue;
+
+        const region = { left, top, width: right - left, height: bottom - top };
+        const input = box.style === 'black'
+            ? await sharp({ create: { width: region.width, height: region.height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 1 } } }).png().toBuffer()
+            : await sharp(buffer).extract(region).blur(MASK_BLUR_SIGMA).toBuffer();
+        overlays.push({ input, left, top });
+    }
+    if (overlays.length === 0) return buffer;
+    console.log(`[EXECUTOR] 已遮盖 ${overlays.length} 个敏感区域。`);
+    return sharp(buffer).composite(overlays).png().toBuffer();
+}
+
+/**
+ * 辅助函数：长截图前用 CSS 模糊 / 涂黑遮罩元素（长截图需多次滚动，元素位置随之变化，无法在截图后按坐标处理）
+ */
+async function applyCssMasks(page, masks) {
+    await page.evaluate(maskList => {
+        const style = document.createElement('style');
+        style.id = '__screenshot_mask_style';
+        style.textContent = [
+            '[data-screenshot-mask="blur"] { filter: blur(8px) !important; }',
+            '[data-screenshot-mask="black"] { filter: brightness(0) !important; background: #000 !important; }',
+        ].join('\n');
+        document.head.appendChild(style);
+        maskList.forEach(({ selector, style: maskStyle }) => {
+            document.querySelectorAll(selector).forEach(el => el.setAttribute('data-screenshot-mask', maskStyle));
+        });
+    }, masks);
+}
+
+async function clearCssMasks(page) {
+    await page.evaluate(() => {
+        document.querySelectorAll('[data-screenshot-mask]').forEach(el => el.removeAttribute('data-screenshot-mask'));
+        const style = document.getElementById('__screenshot_mask_style');
+        if (style) style.remove();
+    });
+}
+
+/**
+ * 辅助函数：生成水印文本，未指定 text 时默认为「截图时间 | 任务 ID | 达人名称」
+ */
+function buildWatermarkText(ctx, watermark) {
+    if (typeof watermark === 'object' && watermark.text) return String(watermark.text);
+    const { task } = ctx;
+    const talentName = task.metadata?.talentName || task.talentName;
+    return [formatDate(new Date(), 'YYYY-MM-DD HH:mm:ss'), `任务 ${task._id}`, talentName]
+        .filter(Boolean)
+        .join('  |  ');
+}
+
+function escapeXml(text) {
+    return text.replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' }[char]));
 }
 
+/**
+ * 辅助函数：为截图添加水印 / 说明文字
+ * - mode: caption（默认，在图片底部追加一条说明栏，不遮挡内容）| overlay（半透明文字直接叠加在图片上）
+ * - position: overlay 模式下的位置，top-left | top-right | bottom-left | bottom-right（默认）
+ * - fontSize: 字号（像素，默认 14）
+ * 注意：服务器需安装中文字体（如 Noto Sans CJK），否则中文会显示为方框
+ */
+async function applyWatermark(buffer, text, options = {}) {
+    const { mode = 'caption', position = 'bottom-right', fontSize = 14 } = options;
+    const { width, height } = await sharp(buffer).metadata();
+    const barHeight = Math.round(fontSize * 2);
+    const padding = Math.round(fontSize * 0.8);
+    const alignRight = mode === 'overlay' && position.endsWith('right');
+    const textStyle = mode === 'overlay'
+        ? 'fill="#ffffff" fill-opacity="0.85" stroke="#000000" stroke-opacity="0.5" stroke-width="0.6"'
+        : 'fill="#333333"';
+    const svg = Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${barHeight}">` +
+        `<text x="${alignRight ? width - padding : padding}" y="${Math.round(barHeight / 2)}" dominant-baseline="middle" ` +
+        `text-anchor="${alignRight ? 'end' : 'start'}" font-size="${fontSize}" ${textStyle} ` +
+        `font-family="PingFang SC, Microsoft YaHei, Noto Sans CJK SC, sans-serif">${escapeXml(text)}</text></svg>`
+    );
+
+    if (mode === 'overlay') {
+        const top = position.startsWith('top') ? 0 : height - barHeight;
+        return sharp(buffer).composite([{ input: svg, left: 0, top: Math.max(0, top) }]).png().toBuffer();
+    }
+    return sharp(buffer)
+        .extend({ bottom: barHeight, background: { r: 245, g: 245, b: 245, alpha: 1 } })
+        .composite([{ input: svg, left: 0, top: height }])
+        .png()
+        .toBuffer();
+}
+
+/**
+ * 辅助函数：按 imageOptions 缩放并分页截图，返回 PNG 分页 Buffer 数组
+ * - maxWidth: 宽度超过时等比缩小
+ * - pageHeight: 高度超过时按该高度切分为多张；所选格式有高度上限时自动按上限切分
+ */
+async function splitImagePages(buffer, options = {}) {
+    const format = IMAGE_FORMATS[options.format || 'png'];
+    if (!format) throw new Error(`不支持的截图格式: ${options.format}`);
+
+    // 拼接长图可能超过 sharp 默认的像素上限，这里显式放开
+    let image = sharp(buffer, { limitInputPixels: false });
+    const { width } = await image.metadata();
+    if (options.maxWidth && width > options.maxWidth) {
+        buffer = await image.resize({ width: options.maxWidth }).png().toBuffer();
+        image = sharp(buffer, { limitInputPixels: false });
+        console.log(`[EXECUTOR] 截图宽度 ${width}px 超过 maxWidth，已缩放至 ${options.maxWidth}px`);
+    }
+
+    const { width: outputWidth, height } = await image.metadata();
+    const pageHeight = Math.min(options.pageHeight || Infinity, format.maxHeight);
+    if (height <= pageHeight) return [buffer];
+
+    const pages = [];
+    for (let top = 0; top < height; top += pageHeight) {
+        pages.push(await sharp(buffer, { limitInputPixels: false })
+            .extract({ left: 0, top, width: outputWidth, height: Math.min(pageHeight, height - top) })
+            .png()
+            .toBuffer());
+    }
+    console.log(`[EXECUTOR] 截图高度 ${height}px，已切分为 ${pages.length} 张`);
+    return pages;
+}
+
+/**
+ * 辅助函数：按 imageOptions 编码图片（format: png | jpeg | webp，quality: 1-100，默认 80，仅 jpeg / webp 有效）
+ */
+async function encodeImage(buffer, options = {}) {
+    const format = options.format || 'png';
+    const quality = options.quality || 80;
+    let image = sharp(buffer, { limitInputPixels: false });
+    if (format === 'jpeg') {
+        // JPEG 不支持透明通道，以白色背景填充
+        image = image.flatten({ background: '#ffffff' }).jpeg({ quality, mozjpeg: true });
+    } else if (format === 'webp') {
+        image = image.webp({ quality });
+    } else {
+        image = image.png();
+    }
+    const { data, info } = await image.toBuffer({ resolveWithObject: true });
+    return { buffer: data, width: info.width, height: info.height, ...IMAGE_FORMATS[format] };
+}
+
+/**
+ * 辅助函数：生成输出文件名，按输出格式替换扩展名，分页时追加 _p 序号（如 report_p2.jpg）
+ */
+function buildImageFileName(fileName, extension, pageNumber = null) {
+    const baseName = fileName.replace(/\.(png|jpe?g|webp)$/i, '');
+    return `${baseName}${pageNumber ? `_p${pageNumber}` : ''}.${extension}`;
+}
+
+/**
+ * 辅助函数：生成页面存档
+ * - pdf: 按打印样式（media: print，可通过 media: 'screen' 改为屏幕样式）输出 PDF，保留背景色
+ * - mhtml: 通过 CDP Page.captureSnapshot 保存包含样式、图片等资源的单文件网页快照
+ */
+async function capturePageArchive(page, format, options = {}) {
+    if (format === 'pdf') {
+        await page.emulateMediaType(options.media || 'print');
+        try {
+            return await page.pdf({
+                format: options.paperFormat || 'A4',
+                landscape: options.landscape === true,
+                printBackground: true,
+                timeout: options.timeout || DEFAULT_TIMEOUTS.navigation,
+            });
+        } finally {
+            await page.emulateMediaType(null);
+        }
+    }
+    const session = await page.target().createCDPSession();
+    try {
+        const { data } = await session.send('Page.captureSnapshot', { format: 'mhtml' });
+        return Buffer.from(data);
+    } finally {
+        await session.detach();
+    }
+}
 
 /**
  * 辅助函数：终极智能靶向滚动 (用于页面主滚动条)
@@ -211,7 +633,7 @@ async function autoScroll(page, scrollableElementSelector = null) {
 /**
  * 辅助函数：智能数据提取引擎
  */
-async function extractSingleData(page, selector) {
+async function extractSingleData(page, selector, timeout = DEFAULT_TIMEOUTS.selector) {
     let textContent = '';
     if (selector.startsWith('text=') && selector.includes('>> next >>')) {
         const parts = selector.split('>> next >>');
@@ -251,7 +673,7 @@ async function extractSingleData(page, selector) {
             return `Error: 所有策略均失败。找到了文本 "${text}", 但无法定位到对应的子元素 "${childSel}"。`;
         }, textToFind, childSelector);
     } else {
-        await page.waitForSelector(selector, { timeout: 15000, visible: true });
+        await page.waitForSelector(selector, { timeout, visible: true });
         textContent = await page.$eval(selector, el => el.textContent.trim());
     }
     if (typeof textContent === 'string' && textContent.startsWith('Error:')) {
@@ -260,172 +682,1316 @@ async function extractSingleData(page, selector) {
     return textContent;
 }
 
+/**
+ * 辅助函数：表格提取引擎（提取当前页的所有行）
+ * 列定义支持三种方式（按优先级）：
+ * - selector: 在行内查找的单元格选择器
+ * - header: 表头文本（包含匹配），按表头所在列序号取单元格
+ * - index: 直接指定列序号（从 0 开始）
+ */
+async function extractTableRows(container, step) {
+    const config = {
+        rowSelector: step.rowSelector || null,
+        headerSelector: step.headerSelector || null,
+        cellSelector: step.cellSelector || null,
+        columns: step.columns
+    };
+    return container.evaluate((root, config) => {
+        const isTable = root.tagName === 'TABLE' || !!root.querySelector('table');
+        const table = root.tagName === 'TABLE' ? root : root.querySelector('table');
+        const scope = isTable ? table : root;
+
+        const rowSelector = config.rowSelector || (isTable ? 'tbody tr' : ':scope > *');
+        const headerSelector = config.headerSelector || (isTable ? 'thead th, thead td' : null);
+        const getCells = row => config.cellSelector
+            ? Array.from(row.querySelectorAll(config.cellSelector))
+            : Array.from(row.children);
+
+        // 解析表头文本，用于按 header 定位列序号
+        const headers = headerSelector
+            ? Array.from(scope.querySelectorAll(headerSelector)).map(cell => cell.textContent.trim())
+            : [];
+        const columnIndexes = config.columns.map(col => {
+            if (col.selector) return null;
+            if (col.header) return headers.findIndex(text => text.includes(col.header));
+            return typeof col.index === 'number' ? col.index : -1;
+        });
+
+        return Array.from(scope.querySelectorAll(rowSelector))
+            .map(row => {
+                const cells = getCells(row);
+                const record = {};
+                config.columns.forEach((col, i) => {
+                    let cell = null;
+                    if (col.selector) {
+                        cell = row.querySelector(col.selector);
+                    } else if (columnIndexes[i] >= 0) {
+                        cell = cells[columnIndexes[i]] || null;
+                    }
+                    record[col.name] = cell ? cell.textContent.trim() : null;
+                });
+                return record;
+            })
+            .filter(record => Object.values(record).some(value => value !== null && value !== ''));
+    }, config);
+}
+
+/**
+ * 辅助函数：判断“下一页”按钮是否已不可用（不存在、disabled 属性、aria-disabled 或 *disabled* 样式类）
+ */
+async function isNextPageDisabled(page, selector) {
+    return page.evaluate(sel => {
+        const el = document.querySelector(sel);
+        if (!el) return true;
+        return el.disabled === true
+            || el.getAttribute('aria-disabled') === 'true'
+            || Array.from(el.classList).some(name => name.includes('disabled'));
+    }, selector);
+}
+
+/**
+ * 辅助函数：按路径表达式从 JSON 对象中取值
+ * 支持 a.b.c、list[0].name 以及 list[*].name（对数组逐项取值）
+ */
+function getValueByPath(source, expression) {
+    if (!expression) return source;
+    const tokens = expression.replace(/\[(\d+|\*)\]/g, '.$1').split('.').filter(Boolean);
+    const walk = (value, index) => {
+        if (index === tokens.length) return value;
+        if (value === null || value === undefined) return undefined;
+        const token = tokens[index];
+        if (token === '*') {
+            return Array.isArray(value) ? value.map(item => walk(item, index + 1)) : undefined;
+        }
+        return walk(value[token], index + 1);
+    };
+    return walk(source, 0);
+}
+
+/**
+ * 辅助函数：注册接口响应捕获监听器
+ * 第一个 URL 匹配 urlPattern（正则）且响应体为 JSON 的响应会被捕获：
+ * - fields: { 数据名: 路径表达式 }，逐项写入 data
+ * - dataName (+ path): 将整个响应体（或 path 指向的部分）写入 data[dataName]
+ * 同一 URL 上的 CORS 预检（OPTIONS）、重定向、204 等无响应体或非 JSON 的响应会被跳过，继续等待真正的接口响应。
+ * 返回 { promise, disarm }：promise 在捕获完成后 resolve；disarm 移除监听器（超时后调用，避免迟到的响应继续写入 data）。
+ */
+function armResponseCapture(page, capture, data) {
+    const urlRegex = new RegExp(capture.urlPattern);
+    let onResponse;
+    const disarm = () => page.off('response', onResponse);
+    const promise = new Promise((resolve) => {
+        let settled = false;
+        onResponse = async (response) => {
+            if (settled || !urlRegex.test(response.url())) return;
+            const method = response.request().method();
+            if (method === 'OPTIONS') return;
+            if (capture.method && method !== capture.method.toUpperCase()) return;
+            const status = response.status();
+            if (status === 204 || (status >= 300 && status < 400)) return;
+
+            let body;
+            try {
+                const text = await response.text();
+                if (!text.trim()) return;
+                body = JSON.parse(text);
+            } catch (e) {
+                console.warn(`[EXECUTOR] 跳过非 JSON 的接口响应 (${status} ${response.url()}): ${e.message}`);
+                return;
+            }
+            if (settled) return;
+            settled = true;
+            disarm();
+
+            for (const [name, expression] of Object.entries(capture.fields || {})) {
+                data[name] = getValueByPath(body, expression);
+                console.log(`[EXECUTOR] 从接口响应捕获数据 '${name}': ${JSON.stringify(data[name])}`);
+            }
+            if (capture.dataName) {
+                data[capture.dataName] = getValueByPath(body, capture.path);
+                console.log(`[EXECUTOR] 从接口响应捕获数据 '${capture.dataName}'`);
+            }
+            resolve(body);
+        };
+        page.on('response', onResponse);
+    });
+    return { promise, disarm };
+}
+
+/**
+ * 辅助函数：等待接口捕获完成，超时则移除监听器并 reject
+ */
+function waitForCapture(capture, { promise, disarm }, timeout = DEFAULT_TIMEOUTS.selector) {
+    let timer;
+    const timeoutPromise = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            disarm();
+            reject(new Error(`等待接口响应超时: ${capture.urlPattern}`));
+        }, capture.timeout || timeout);
+    });
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 辅助函数：等待尚未完成的接口捕获（工作流结束前调用），超时或失败仅记录警告
+ */
+async function settlePendingCaptures(pendingCaptures) {
+    await Promise.all(pendingCaptures.map(({ capture, handle }) =>
+        waitForCapture(capture, handle).catch(e => console.warn(`[EXECUTOR] 接口捕获未完成: ${e.message}`))
+    ));
+}
+
 /**
  * 核心函数：获取或创建浏览器实例
  */
-async function getBrowser(isLoginFlow = false) {
-    if (browser && browser.isConnected()) {
-        return browser;
+async function getBrowser(isLoginFlow = false, userDataDir = defaultAccount.userDataDir) {
+    const existing = browsers.get(userDataDir);
+    if (existing && existing.isConnected()) {
+        return existing;
+    }
+    if (browserLaunching.has(userDataDir)) {
+        return browserLaunching.get(userDataDir);
     }
-    const launchOptions = {
-        executablePath: '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-        headless: false,
-        userDataDir: userDataDir,
-        defaultViewport: null,
-        args: ['--start-maximized', '--window-size=2560,1440']
-    };
     if (isLoginFlow) {
         console.log('[EXECUTOR] 启动一个新的浏览器实例 (用于登录)...');
     }
-    browser = await puppeteer.launch(launchOptions);
+    // 浏览器路径、有无界面、窗口大小等由 browser-launcher 按平台与环境变量决定
+    const launching = launchBrowser(isLoginFlow ? 'interactive-login' : getDefaultWorkerProfile(), { userDataDir });
+    browserLaunching.set(userDataDir, launching);
+    let browser;
+    try {
+        browser = await launching;
+    } finally {
+        browserLaunching.delete(userDataDir);
+    }
+    browsers.set(userDataDir, browser);
     browser.on('disconnected', () => {
-        console.log('[EXECUTOR] 浏览器已关闭。');
-        browser = null;
+        console.log(`[EXECUTOR] 浏览器已关闭: ${userDataDir}`);
+        if (browsers.get(userDataDir) === browser) browsers.delete(userDataDir);
     });
     return browser;
 }
 
+// 任务页面池：按账号使用对应 profile 的浏览器
+const browserPool = createBrowserPool({
+    getBrowser: accountId => getBrowser(false, accountProfiles.get(accountId) || defaultAccount.userDataDir),
+    setupPage: applyProxyAuth,
+});
+
+/**
+ * 页面池状态（执行中 / 空闲 / 排队数量及各账号情况），供 API 与代理展示
+ */
+function getPoolStats() {
+    return browserPool.getStats();
+}
+
+/**
+ * 辅助函数：解析任务使用的账号
+ * - 未指定 accountId 时使用默认账号（注册表中的默认账号，未提供注册表时为内置默认账号）
+ * - 指定的账号不存在或已停用时抛出错误，避免任务在错误的账号下执行
+ */
+async function resolveAccount({ accountId, loadAccount }) {
+    if (!loadAccount) {
+        if (accountId && accountId !== DEFAULT_ACCOUNT_ID) {
+            throw new Error(`未提供账号注册表（options.loadAccount），无法使用账号 '${accountId}'`);
+        }
+        return defaultAccount;
+    }
+    const account = await loadAccount(accountId);
+    if (!account) throw new Error(`账号不存在: ${accountId}`);
+    if (account.status === 'disabled') throw new Error(`账号已停用: ${account.accountId}`);
+    return account;
+}
+
 /**
  * 核心函数：处理登录流程
+ * @param {object} [account] - 登录的账号（account-registry 返回的账号），默认为内置默认账号
  */
-async function handleLogin() {
-    console.log('[EXECUTOR] 启动登录流程...');
-    const loginBrowser = await getBrowser(true);
+async function handleLogin(account = defaultAccount) {
+    console.log(`[EXECUTOR] 启动登录流程（账号: ${account.accountId}）...`);
+    const loginBrowser = await getBrowser(true, account.userDataDir);
     const page = await loginBrowser.newPage();
+    await applyProxyAuth(page);
     await page.goto('https://www.xingtu.cn/login', { waitUntil: 'networkidle2' });
-    return browser;
+    return loginBrowser;
 }
 
+// 包含子步骤列表的字段（if 步骤的两个分支、forEach 步骤的循环体、captureResponse 的 trigger），这些子步骤在各自执行时再渲染模板
+const NESTED_STEP_KEYS = ['then', 'else', 'steps', 'trigger'];
+
 /**
- * 核心函数：执行工作流中的所有步骤
+ * 辅助函数：构建模板上下文
+ * - 顶层：任务的全部输入字段（xingtuId / taskId / videoId / targetId ...）及 collaborationId
+ * - metadata: 任务 metadata；task: 任务对象本身
+ * - data: 截至当前步骤已提取的数据；item / index: forEach 循环中当前元素的数据与序号
+ * - now: 当前时间（可配合 date / addDays 过滤器）
  */
-async function executeActions(task, workflow) {
-    // 待办 1.4: 升级参数替换逻辑
-    const context = {
-        xingtuId: task.xingtuId,
-        taskId: task.taskId, // taskId for starquest, _id for database
-        videoId: task.videoId,
-        targetId: task.targetId,
+function buildTemplateContext(ctx) {
+    const { task } = ctx;
+    return {
+        ...task,
         collaborationId: task.metadata?.collaborationId,
+        metadata: task.metadata || {},
+        task,
+        data: ctx.results.data,
+        item: ctx.scope ? ctx.data : undefined,
+        index: ctx.scope ? ctx.index : undefined,
+        now: new Date(),
     };
+}
 
-    // 深拷贝工作流以避免修改内存中的缓存对象
-    const processedWorkflow = JSON.parse(JSON.stringify(workflow));
+/**
+ * 辅助函数：在当前作用域内定位元素
+ * - 处于 forEach 循环中时，在当前迭代元素内查找（未提供 selector 时返回元素本身）
+ * - 否则在整个页面中等待元素出现
+ */
+async function resolveElement(ctx, selector, timeout = DEFAULT_TIMEOUTS.selector, { visible = true } = {}) {
+    if (ctx.scope) {
+        if (!selector) return ctx.scope;
+        const element = await ctx.scope.$(selector);
+        if (!element) throw new Error(`在当前循环元素内找不到 ${selector}`);
+        return element;
+    }
+    const element = await ctx.page.waitForSelector(selector, { timeout, visible });
+    if (!element) throw new Error(`找不到元素 ${selector}`);
+    return element;
+}
 
-    // 遍历所有步骤，替换占位符
-    processedWorkflow.steps.forEach(step => {
-        for (const key in step) {
-            if (typeof step[key] === 'string') {
-                step[key] = step[key].replace(/\{\{(\w+)\}\}/g, (match, placeholder) => {
-                    // 如果上下文中存在该占位符，则替换；否则保持原样
-                    return context[placeholder] || match;
-                });
+/**
+ * 辅助函数：清空输入框（三击全选后删除；对三击无法全选的输入框直接清空 value 并派发 input 事件）
+ */
+async function clearInput(page, element) {
+    await element.click({ clickCount: 3 });
+    await page.keyboard.press('Backspace');
+    await element.evaluate(el => {
+        if ('value' in el && el.value) {
+            el.value = '';
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    });
+}
+
+/**
+ * 辅助函数：模拟人工逐字输入
+ * delay 为字符间的平均间隔（毫秒），实际间隔在 0.5 ~ 1.5 倍之间随机波动；delay 为 0 时一次性输入
+ */
+async function typeLikeHuman(page, element, text, delay = DEFAULT_TYPING_DELAY) {
+    await element.focus();
+    if (!delay) {
+        await page.keyboard.type(text);
+        return;
+    }
+    for (const char of text) {
+        await page.keyboard.type(char);
+        await new Promise(resolve => setTimeout(resolve, Math.round(delay * (0.5 + Math.random()))));
+    }
+}
+
+/**
+ * 辅助函数：将 uploadFile 的文件路径解析为上传目录（UPLOAD_DIR）内的绝对路径
+ * 绝对路径或含 .. 的路径越出上传目录时抛出错误，不执行上传
+ */
+function resolveUploadPath(file) {
+    const resolved = path.resolve(UPLOAD_DIR, String(file));
+    const relative = path.relative(UPLOAD_DIR, resolved);
+    if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+        throw new Error(`待上传的文件必须位于上传目录 ${UPLOAD_DIR} 内: ${file}`);
+    }
+    return resolved;
+}
+
+/**
+ * 辅助函数：按下按键或组合键（如 'Enter'、'Control+A'、'Shift+Tab'）
+ */
+async function pressKeys(page, combo) {
+    const keys = combo.split('+').map(key => key.trim());
+    const modifiers = keys.slice(0, -1);
+    for (const key of modifiers) await page.keyboard.down(key);
+    await page.keyboard.press(keys[keys.length - 1]);
+    for (const key of modifiers.reverse()) await page.keyboard.up(key);
+}
+
+/**
+ * 辅助函数：选择下拉选项
+ * - 原生 <select>：按 value 选择（支持数组多选）
+ * - 自定义下拉框：点击展开后，在页面中查找文本与 value 完全一致的可见选项并点击（选项通常渲染在浮层中，不受循环作用域限制）
+ */
+async function selectOption(ctx, element, step) {
+    const values = [].concat(step.value).map(String);
+    const isNativeSelect = await element.evaluate(el => el.tagName === 'SELECT');
+    if (isNativeSelect) {
+        const selected = await element.select(...values);
+        if (selected.length === 0) throw new Error(`下拉框中不存在选项: ${values.join(', ')}`);
+        return;
+    }
+
+    await element.click();
+    for (const value of values) {
+        const handle = await ctx.page.waitForFunction(
+            (optionSelector, text) => Array.from(document.querySelectorAll(optionSelector))
+                .find(el => el.offsetParent !== null && el.textContent.trim() === text) || null,
+            { timeout: step.timeout || DEFAULT_TIMEOUTS.selector },
+            step.optionSelector || DEFAULT_OPTION_SELECTOR,
+            value
+        ).catch(() => {
+            throw new Error(`下拉框中找不到选项 '${value}'`);
+        });
+        await handle.asElement().click();
+    }
+}
+
+/**
+ * 辅助函数：定位日期范围选择器的开始 / 结束输入框
+ * - 提供 startSelector + endSelector 时分别定位
+ * - 否则取 selector 容器内的前两个 input
+ */
+async function resolveDateRangeInputs(ctx, step) {
+    if (step.startSelector && step.endSelector) {
+        return [
+            await resolveElement(ctx, step.startSelector, step.timeout),
+            await resolveElement(ctx, step.endSelector, step.timeout),
+        ];
+    }
+    const container = await resolveElement(ctx, step.selector, step.timeout);
+    const inputs = await container.$$('input');
+    if (inputs.length < 2) throw new Error(`日期范围选择器 ${step.selector || ''} 内找不到开始 / 结束输入框`);
+    return inputs.slice(0, 2);
+}
+
+/**
+ * 辅助函数：按作用域提取文本（循环内仅支持普通 CSS 选择器）
+ */
+async function extractScopedData(ctx, selector, timeout) {
+    if (!ctx.scope) {
+        return extractSingleData(ctx.page, selector, timeout);
+    }
+    const element = await resolveElement(ctx, selector);
+    return element.evaluate(el => el.textContent.trim());
+}
+
+/**
+ * 辅助函数：判断 if 步骤的条件是否成立
+ * 支持的条件类型:
+ * - selectorExists: 页面中存在 selector 对应的元素（可设置 timeout 等待出现）
+ * - textPresent: 页面可见文本中包含 text
+ * - urlMatches: 当前页面 URL 匹配正则 pattern
+ * - dataMatches: 已提取的数据 data[dataName] 匹配正则 pattern（循环内为当前元素的数据）
+ * - all / any: 组合多个子条件（conditions 数组）
+ * 任意条件均可设置 not: true 取反。
+ */
+async function evaluateCondition(ctx, condition) {
+    const { page } = ctx;
+    if (!condition || !condition.type) {
+        throw new Error("'if' action requires a 'condition' with a 'type'.");
+    }
+
+    let matched;
+    switch (condition.type) {
+        case 'selectorExists':
+            if (ctx.scope) {
+                matched = (await ctx.scope.$(condition.selector)) !== null;
+            } else if (condition.timeout) {
+                matched = await page.waitForSelector(condition.selector, { timeout: condition.timeout })
+                    .then(() => true)
+                    .catch(() => false);
+            } else {
+                matched = (await page.$(condition.selector)) !== null;
+            }
+            break;
+        case 'textPresent':
+            matched = await page.evaluate(text => !!document.body && document.body.innerText.includes(text), condition.text);
+            break;
+        case 'urlMatches':
+            matched = new RegExp(condition.pattern, condition.flags || '').test(page.url());
+            break;
+        case 'dataMatches': {
+            const value = ctx.data[condition.dataName];
+            matched = value !== undefined && value !== null && new RegExp(condition.pattern, condition.flags || '').test(String(value));
+            break;
+        }
+        case 'all':
+        case 'any': {
+            const outcomes = [];
+            for (const sub of condition.conditions || []) {
+                outcomes.push(await evaluateCondition(ctx, sub));
+            }
+            matched = condition.type === 'all' ? outcomes.every(Boolean) : outcomes.some(Boolean);
+            break;
+        }
+        default:
+            throw new Error(`未知的条件类型: ${condition.type}`);
+    }
+
+    return condition.not ? !matched : matched;
+}
+
+/**
+ * 核心函数：按顺序执行一组步骤（分支、循环中的子步骤同样经由此函数执行）
+ */
+async function runSteps(steps, ctx, basePath = 'steps') {
+    for (const [index, step] of (steps || []).entries()) {
+        console.log(`[EXECUTOR] 执行动作: ${step.action}`, step.description || '');
+        if (ctx.onProgress && basePath === 'steps') {
+            ctx.onProgress({ status: 'running', currentStep: index + 1, totalSteps: steps.length, currentAction: step.description || step.action });
+        }
+        const outcome = await executeStepWithPolicy(step, ctx, `${basePath}[${index}]`);
+        if (outcome === 'skip') {
+            console.log('[EXECUTOR] 按 onError: skip 策略跳过当前步骤列表中剩余的步骤。');
+            break;
+        }
+    }
+}
+
+/**
+ * 核心函数：按步骤的错误策略执行单个步骤
+ * - retries / retryDelay: 失败后的重试次数与间隔（默认不重试，间隔 1000ms）
+ * - onError: fail（默认，终止任务）| continue（记录错误后继续下一步）| skip（记录错误并跳过当前步骤列表中剩余的步骤）
+ * 返回 'skip' 表示调用方应停止执行当前步骤列表。
+ * 终止任务的错误带 failedStep（最内层失败的步骤），stepPath 为步骤在工作流中的路径（如 steps[3].then[0]）。
+ */
+async function executeStepWithPolicy(rawStep, ctx, stepPath) {
+    // 执行前渲染模板，使步骤可以引用前序步骤提取的数据
+    const step = renderTemplate(rawStep, buildTemplateContext(ctx), NESTED_STEP_KEYS);
+    const retries = Math.max(0, parseInt(step.retries, 10) || 0);
+    const retryDelay = step.retryDelay ?? 1000;
+    const onError = step.onError || 'fail';
+
+    let lastError;
+    let pauses = 0;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        try {
+            await executeStep(step, { ...ctx, stepPath });
+            return 'ok';
+        } catch (error) {
+            // 内层步骤已暂停过或已放弃的风控错误，外层（if / forEach / runWorkflow）原样抛出，不再暂停、不重新执行整个分支
+            if (error instanceof RiskDetectedError && error.handled) throw error;
+            // 登录墙 / 验证码 / 风控导致的失败重试也无济于事，直接终止任务（VNC 模式下验证码可暂停等待人工处理后重新执行）
+            lastError = error instanceof RiskDetectedError ? error : await explainStepError(ctx.page, error);
+            if (lastError instanceof RiskDetectedError) {
+                if (pauses < MAX_CAPTCHA_PAUSES && await pauseForCaptcha(lastError, step, ctx)) {
+                    pauses++;
+                    attempt--;
+                    continue;
+                }
+                lastError.handled = true;
+                throw markFailedStep(lastError, step, ctx, stepPath);
+            }
+            if (attempt < retries) {
+                console.warn(`[EXECUTOR] 动作 ${step.action} 第 ${attempt + 1} 次执行失败: ${error.message}，${retryDelay}ms 后重试...`);
+                await new Promise(resolve => setTimeout(resolve, retryDelay));
             }
         }
+    }
+
+    if (onError !== 'continue' && onError !== 'skip') throw markFailedStep(lastError, step, ctx, stepPath);
+
+    console.warn(`[EXECUTOR] 动作 ${step.action} 执行失败（onError: ${onError}）: ${lastError.message}`);
+    ctx.results.stepErrors.push({
+        action: step.action,
+        description: step.description || '',
+        error: lastError.message,
+        onError
     });
+    // 可选字段提取失败时写入 null，避免与真实数据混淆
+    if (step.dataName && ['extractData', 'compositeExtract', 'extractTable', 'forEach'].includes(step.action)) {
+        ctx.data[step.dataName] = null;
+    }
+    return onError === 'skip' ? 'skip' : 'ok';
+}
 
-    const br = await getBrowser();
-    const page = await br.newPage();
-    const results = { screenshots: [], data: {} };
-    
+/**
+ * 辅助函数：步骤失败后检测页面状态，命中登录墙 / 验证码 / 风控时返回 RiskDetectedError（原错误作为 cause），否则返回原错误
+ */
+async function explainStepError(page, error) {
+    const risk = await detectRisk(page);
+    if (!risk) return error;
+    const riskError = new RiskDetectedError({
+        ...risk,
+        message: `[${risk.code}] ${risk.message}${risk.evidence ? `（${risk.evidence}）` : ''}: ${risk.url}（原错误: ${error.message}）`,
+    });
+    riskError.cause = error;
+    return riskError;
+}
+
+/**
+ * 辅助函数：步骤触发验证码且调用方提供了 onPause 时暂停任务，等待人工处理后返回 true（调用方重新执行该步骤）
+ * onPause 收到任务页面，恢复前可检查验证码是否已消失；CAPTCHA_PAUSE_TIMEOUT 内未恢复时返回 false（调用方以验证码错误终止任务）
+ */
+async function pauseForCaptcha(error, step, ctx) {
+    if (error.code !== RISK_CODES.CAPTCHA || typeof ctx.onPause !== 'function' || ctx.page.isClosed()) return false;
+    console.warn(`[EXECUTOR] 动作 ${step.action} 触发验证码，暂停任务等待人工处理...`);
+    const resumed = ctx.onPause(String(ctx.task._id), {
+        status: 'paused',
+        errorCode: error.code,
+        kind: error.kind,
+        url: error.url,
+        currentAction: step.description || step.action,
+        message: '检测到验证码，请在 VNC 中完成验证后点击继续',
+        timeoutMs: CAPTCHA_PAUSE_TIMEOUT,
+    }, ctx.page);
+    let timer;
+    const timedOut = await Promise.race([
+        Promise.resolve(resumed).then(() => false),
+        new Promise(resolve => { timer = setTimeout(() => resolve(true), CAPTCHA_PAUSE_TIMEOUT); }),
+    ]).finally(() => clearTimeout(timer));
+    if (timedOut) {
+        console.warn(`[EXECUTOR] 等待人工处理验证码超时（${CAPTCHA_PAUSE_TIMEOUT}ms），终止任务`);
+        error.message += `（暂停 ${Math.round(CAPTCHA_PAUSE_TIMEOUT / 1000)} 秒内未恢复）`;
+        return false;
+    }
+    console.log(`[EXECUTOR] 任务已恢复，重新执行动作: ${step.action}`);
+    return true;
+}
+
+/**
+ * 辅助函数：在终止任务的错误上记录失败步骤；嵌套步骤（if / forEach / runWorkflow）逐层抛出时保留最内层的记录
+ * index 为顶层步骤的序号（从 0 开始，对应 steps[index]）
+ */
+function markFailedStep(error, step, ctx, stepPath) {
+    if (!error.failedStep) {
+        error.failedStep = {
+            index: parseInt(/^steps\[(\d+)\]/.exec(stepPath)[1], 10),
+            path: stepPath,
+            action: step.action,
+            description: step.description || '',
+            ...(ctx.workflowStack.length > 1 && { workflowId: ctx.workflowStack[ctx.workflowStack.length - 1] }),
+            ...(ctx.index !== undefined && { loopIndex: ctx.index }),
+        };
+    }
+    return error;
+}
+
+/**
+ * 辅助函数：步骤是否未配置任何错误策略（沿用旧版“提取失败”占位行为）
+ */
+function usesLegacyFallback(step) {
+    return step.onError === undefined && step.retries === undefined;
+}
+
+/**
+ * 辅助函数：创建空的执行结果容器
+ */
+function createResults() {
+    return { screenshots: [], archives: [], data: {}, rawData: {}, stepErrors: [], visualAlerts: [], visualBaselines: [] };
+}
+
+/**
+ * 辅助函数：截图在视觉回归基线中的名称
+ * 使用 saveAs（循环内已追加序号）或步骤描述；两者都未配置时文件名含时间戳、无法跨任务对应，跳过检测
+ */
+function getBaselineKey(ctx, step, fileName) {
+    if (step.saveAs) return fileName;
+    if (step.description) return ctx.scope ? `${step.description}_${ctx.index + 1}` : step.description;
+    return null;
+}
+
+/**
+ * 辅助函数：任务成功后写入视觉回归基线（写入失败不影响任务结果）
+ */
+async function commitVisualBaselines(baselines) {
+    for (const baseline of baselines) {
+        try {
+            await saveBaseline(baseline);
+        } catch (error) {
+            console.warn(`[EXECUTOR] 保存视觉基线 ${baseline.workflowId}/${baseline.key} 失败: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * 辅助函数：首次导航前将 Cookie 存储中的账号 Cookie 注入页面
+ * 读取失败时仅记录警告，继续使用浏览器 profile 中的登录态
+ * @returns {Promise<Array|null>} 注入的 Cookie（任务结束后据此判断是否被轮换），存储中没有时返回 null
+ */
+async function injectStoredCookies(page, account, cookieStore) {
+    let stored;
     try {
-        // 待办 1.2: 删除硬编码的导航
-        // const url = `https://www.xingtu.cn/ad/creator/author-homepage/douyin-video/${xingtuId}`;
-        // console.log(`[EXECUTOR] 导航至: ${url}`);
-        // await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
-        
-        console.log('[EXECUTOR] 开始执行工作流步骤...');
-
-        for (const step of processedWorkflow.steps) {
-            console.log(`[EXECUTOR] 执行动作: ${step.action}`, step.description || '');
-            
-            switch (step.action) {
-                // 待办 1.3: 增加新的 'Go to URL' case
-                case 'Go to URL':
-                    if (!step.url) throw new Error("'Go to URL' action requires a 'url' parameter.");
-                    console.log(`[EXECUTOR] 导航至: ${step.url}`);
-                    await page.goto(step.url, { waitUntil: 'networkidle2', timeout: 60000 });
-                    // 在导航后增加一个标准的等待，确保页面内容稳定
-                    await page.waitForSelector('#layout-content', { timeout: 20000, visible: true });
-                    break;
-                case 'wait':
-                    await new Promise(resolve => setTimeout(resolve, step.milliseconds || 1000));
-                    break;
-                case 'waitForSelector':
-                    await page.waitForSelector(step.selector, { timeout: 15000, visible: true });
-                    break;
-                case 'click':
-                    await page.waitForSelector(step.selector, { timeout: 15000, visible: true });
-                    await page.click(step.selector);
-                    break;
-                
-                case 'screenshot': {
-                    let screenshotBuffer;
-                    const fileName = step.saveAs || `${Date.now()}_screenshot.png`;
-                    if (step.stitched === true) {
-                        console.log('[EXECUTOR] 检测到 stitched: true...');
-                        screenshotBuffer = await takeStitchedScreenshot(page, step.selector);
+        stored = await cookieStore.load(account);
+    } catch (error) {
+        console.warn(`[EXECUTOR] 读取 Cookie 存储 (${cookieStore.name}) 失败，使用浏览器 profile 中的登录态: ${error.message}`);
+        return null;
+    }
+    if (!stored || stored.length === 0) {
+        console.log(`[EXECUTOR] Cookie 存储 (${cookieStore.name}) 中没有账号 ${account.accountId} 的 Cookie，使用浏览器 profile 中的登录态`);
+        return null;
+    }
+    const params = toCookieParams(stored);
+    if (params.length > 0) await page.setCookie(...params);
+    console.log(`[EXECUTOR] 已从 Cookie 存储 (${cookieStore.name}) 注入 ${params.length} 个 Cookie（账号: ${account.accountId}）`);
+    return stored;
+}
+
+/**
+ * 辅助函数：任务成功后，站点轮换了 Cookie（或存储中尚无该账号 Cookie）时写回存储，写回失败不影响任务结果
+ */
+async function persistRotatedCookies(page, account, cookieStore, injected) {
+    try {
+        const current = await page.cookies(...getCookieUrls(injected));
+        if (current.length === 0 || (injected && !cookiesChanged(injected, current))) return;
+        await cookieStore.save(account, mergeCookies(injected, current), { source: 'task' });
+        console.log(`[EXECUTOR] ${injected ? 'Cookie 已轮换' : '存储中无 Cookie'}，已写回 Cookie 存储 (${cookieStore.name})（账号: ${account.accountId}）`);
+    } catch (error) {
+        console.warn(`[EXECUTOR] 写回 Cookie 存储 (${cookieStore.name}) 失败: ${error.message}`);
+    }
+}
+
+/**
+ * 辅助函数：汇总校验错误为一行文本
+ */
+function summarizeValidation(validation) {
+    return validation.errors.map(e => `${e.path}: ${e.message}`).join('; ');
+}
+
+/**
+ * 核心函数：执行一个工作流的全部步骤（注册工作流级接口捕获 → 执行步骤 → 等待捕获完成）
+ * 顶层工作流与 runWorkflow 子工作流共用
+ */
+async function runWorkflowSteps(workflow, ctx) {
+    // 子工作流的步骤路径接在 runWorkflow 步骤之后，如 steps[5] > steps[2]
+    const basePath = ctx.stepPath ? `${ctx.stepPath} > steps` : 'steps';
+    const responseCaptures = renderTemplate(workflow.responseCaptures || [], buildTemplateContext(ctx));
+    for (const capture of responseCaptures) {
+        ctx.pendingCaptures.push({ capture, handle: armResponseCapture(ctx.page, capture, ctx.data) });
+    }
+
+    await runSteps(workflow.steps, ctx, basePath);
+    await settlePendingCaptures(ctx.pendingCaptures);
+}
+
+/**
+ * 辅助函数：将子工作流结果合并到父工作流
+ * - 指定 namespace 时，数据写入 data[namespace]，截图名称加上 "namespace/" 前缀
+ * - 未指定时，数据直接合并到当前数据对象
+ * 子工作流的步骤错误会标注来源工作流名称（多层嵌套时保留最内层）
+ */
+function mergeChildResults(ctx, childResults, namespace, workflowName) {
+    const prefix = namespace ? `${namespace}/` : '';
+    ctx.results.screenshots.push(...childResults.screenshots.map(shot => ({ ...shot, name: `${prefix}${shot.name}` })));
+    ctx.results.archives.push(...childResults.archives.map(archive => ({ ...archive, name: `${prefix}${archive.name}` })));
+    ctx.results.stepErrors.push(...childResults.stepErrors.map(err => ({ workflow: workflowName, ...err })));
+    ctx.results.visualAlerts.push(...childResults.visualAlerts.map(alert => ({ ...alert, name: `${prefix}${alert.name}` })));
+    ctx.results.visualBaselines.push(...childResults.visualBaselines);
+
+    if (namespace) {
+        ctx.data[namespace] = childResults.data;
+        if (Object.keys(childResults.rawData).length > 0) ctx.raw[namespace] = childResults.rawData;
+    } else {
+        Object.assign(ctx.data, childResults.data);
+        Object.assign(ctx.raw, childResults.rawData);
+    }
+}
+
+/**
+ * 核心函数：执行单个步骤
+ */
+async function executeStep(step, ctx) {
+    const { page, task, results, data } = ctx;
+
+    switch (step.action) {
+        // 待办 1.3: 增加新的 'Go to URL' case
+        case 'Go to URL':
+            if (!step.url) throw new Error("'Go to URL' action requires a 'url' parameter.");
+            console.log(`[EXECUTOR] 导航至: ${step.url}`);
+            await page.goto(step.url, { waitUntil: 'networkidle2', timeout: step.timeout || DEFAULT_TIMEOUTS.navigation });
+            await assertNoRisk(page, '导航后');
+            // 在导航后增加一个标准的等待，确保页面内容稳定
+            await page.waitForSelector('#layout-content', { timeout: step.readyTimeout || DEFAULT_TIMEOUTS.pageReady, visible: true });
+            break;
+        case 'wait':
+            await new Promise(resolve => setTimeout(resolve, step.milliseconds || 1000));
+            break;
+        case 'waitForSelector':
+            await resolveElement(ctx, step.selector, step.timeout);
+            break;
+        case 'click':
+            if (ctx.scope) {
+                await (await resolveElement(ctx, step.selector)).click();
+            } else {
+                await page.waitForSelector(step.selector, { timeout: step.timeout || DEFAULT_TIMEOUTS.selector, visible: true });
+                await page.click(step.selector);
+            }
+            await assertNoRisk(page, '点击后');
+            break;
+        case 'type': {
+            if (step.text === undefined || step.text === null) throw new Error("'type' action requires a 'text' parameter.");
+            const input = await resolveElement(ctx, step.selector, step.timeout);
+            if (step.clear) await clearInput(page, input);
+            await typeLikeHuman(page, input, String(step.text), step.delay);
+            if (step.pressEnter) await page.keyboard.press('Enter');
+            console.log(`[EXECUTOR] 已输入文本: ${step.sensitive ? '******' : String(step.text)}`);
+            break;
+        }
+        case 'select': {
+            if (step.value === undefined || step.value === null) throw new Error("'select' action requires a 'value' parameter.");
+            await selectOption(ctx, await resolveElement(ctx, step.selector, step.timeout), step);
+            console.log(`[EXECUTOR] 已选择选项: ${[].concat(step.value).join(', ')}`);
+            break;
+        }
+        case 'hover':
+            await (await resolveElement(ctx, step.selector, step.timeout)).hover();
+            break;
+        case 'press':
+            if (!step.key) throw new Error("'press' action requires a 'key' parameter.");
+            if (step.selector || ctx.scope) await (await resolveElement(ctx, step.selector, step.timeout)).focus();
+            for (let i = 0; i < (step.count || 1); i++) {
+                await pressKeys(page, step.key);
+            }
+            break;
+        case 'uploadFile': {
+            const files = [].concat(step.files || []).map(resolveUploadPath);
+            if (files.length === 0) throw new Error("'uploadFile' action requires a 'files' parameter.");
+            const missing = files.filter(file => !fs.existsSync(file));
+            if (missing.length > 0) throw new Error(`待上传的文件不存在: ${missing.join(', ')}`);
+            // 文件输入框通常是隐藏的，不要求可见
+            const fileInput = await resolveElement(ctx, step.selector, step.timeout, { visible: false });
+            await fileInput.uploadFile(...files);
+            console.log(`[EXECUTOR] 已上传文件: ${files.map(file => path.basename(file)).join(', ')}`);
+            break;
+        }
+        case 'setDateRange': {
+            if (!step.start || !step.end) throw new Error("'setDateRange' action requires 'start' and 'end' parameters.");
+            const format = step.format || 'YYYY-MM-DD';
+            const range = [step.start, step.end].map(value => applyTransform(value, { type: 'date', format }));
+            const inputs = await resolveDateRangeInputs(ctx, step);
+            for (let i = 0; i < inputs.length; i++) {
+                await clearInput(page, inputs[i]);
+                await typeLikeHuman(page, inputs[i], range[i], step.delay);
+                await page.keyboard.press('Enter');
+            }
+            if (step.confirmSelector) {
+                await page.waitForSelector(step.confirmSelector, { timeout: step.timeout || DEFAULT_TIMEOUTS.selector, visible: true });
+                await page.click(step.confirmSelector);
+            }
+            console.log(`[EXECUTOR] 已设置日期范围: ${range[0]} ~ ${range[1]}`);
+            break;
+        }
+
+        case 'if': {
+            const matched = await evaluateCondition(ctx, step.condition);
+            console.log(`[EXECUTOR] 条件 '${step.condition.type}' 判定结果: ${matched}，执行${matched ? ' then ' : ' else '}分支`);
+            await runSteps(matched ? step.then : step.else, ctx, `${ctx.stepPath}.${matched ? 'then' : 'else'}`);
+            break;
+        }
+
+        case 'forEach': {
+            if (!step.selector || !step.dataName) throw new Error("'forEach' action requires 'selector' and 'dataName' parameters.");
+            let items;
+            if (ctx.scope) {
+                items = await ctx.scope.$$(step.selector);
+            } else {
+                await page.waitForSelector(step.selector, { timeout: step.timeout || DEFAULT_TIMEOUTS.selector })
+                    .catch(() => console.warn(`[EXECUTOR] forEach 未找到元素 ${step.selector}，循环结果为空。`));
+                items = await page.$$(step.selector);
+            }
+            const count = step.limit ? Math.min(step.limit, items.length) : items.length;
+            console.log(`[EXECUTOR] forEach 匹配到 ${items.length} 个元素，将处理 ${count} 个`);
+
+            const collected = [];
+            const collectedRaw = [];
+            try {
+                for (let i = 0; i < count; i++) {
+                    const itemData = {};
+                    const itemRaw = {};
+                    await items[i].scrollIntoView();
+                    await runSteps(step.steps, { ...ctx, scope: items[i], data: itemData, raw: itemRaw, index: i }, `${ctx.stepPath}.steps`);
+                    collected.push(itemData);
+                    collectedRaw.push(itemRaw);
+                }
+            } finally {
+                await Promise.all(items.map(item => item.dispose().catch(() => {})));
+            }
+            data[step.dataName] = collected;
+            if (collectedRaw.some(itemRaw => Object.keys(itemRaw).length > 0)) {
+                ctx.raw[step.dataName] = collectedRaw;
+            }
+            console.log(`[EXECUTOR] 成功提取列表数据 '${step.dataName}': ${collected.length} 项`);
+            break;
+        }
+
+        case 'screenshot': {
+            let screenshotBuffer;
+            let fileName = step.saveAs || `${Date.now()}_screenshot.png`;
+            const masks = normalizeMasks(step);
+            if (ctx.scope || !step.stitched) {
+                let elementShot;
+                if (ctx.scope) {
+                    // 循环内截图：文件名追加序号，默认截取当前元素本身
+                    fileName = fileName.replace(/(\.\w+)?$/, ext => `_${ctx.index + 1}${ext}`);
+                    elementShot = await resolveElement(ctx, step.selector);
+                } else {
+                    console.log('[EXECUTOR] 执行“普通截图”模式...');
+                    elementShot = await page.waitForSelector(step.selector, { visible: true, timeout: step.timeout || DEFAULT_TIMEOUTS.selector });
+                    if (!elementShot) throw new Error(`普通截图失败：找不到元素 ${step.selector}`);
+                }
+                screenshotBuffer = await elementShot.screenshot();
+                if (masks.length > 0) {
+                    screenshotBuffer = await applyMaskBoxes(screenshotBuffer, await collectMaskBoxes(ctx, elementShot, masks));
+                }
+            } else {
+                if (masks.length > 0) await applyCssMasks(page, masks);
+                try {
+                    if (step.stitched === 'page') {
+                        console.log("[EXECUTOR] 检测到 stitched: 'page'，执行页面级长截图...");
+                        screenshotBuffer = await takePageStitchedScreenshot(page, step.selector, step);
                     } else {
-                        console.log('[EXECUTOR] 执行“普通截图”模式...');
-                        const elementShot = await page.waitForSelector(step.selector, { visible: true, timeout: 15000 });
-                        if (!elementShot) throw new Error(`普通截图失败：找不到元素 ${step.selector}`);
-                        screenshotBuffer = await elementShot.screenshot();
+                        console.log('[EXECUTOR] 检测到 stitched: true...');
+                        screenshotBuffer = await takeStitchedScreenshot(page, step.selector, step.timeout);
                     }
-                    // 使用 task._id.toString() 作为TOS路径的一部分
-                    const screenshotUrl = await uploadToTOS(screenshotBuffer, task._id.toString(), fileName);
-                    results.screenshots.push({ name: fileName, url: screenshotUrl });
-                    break;
+                } finally {
+                    if (masks.length > 0) await clearCssMasks(page).catch(() => {});
                 }
-                
-                case 'scrollPage':
-                    await autoScroll(page, step.selector || null);
-                    break;
-                case 'waitForNetworkIdle':
-                    await page.waitForNetworkIdle({ idleTime: 1000, timeout: 60000 });
-                    break;
-                case 'extractData':
-                    try {
-                        const textContent = await extractSingleData(page, step.selector);
-                        results.data[step.dataName] = textContent;
-                        console.log(`[EXECUTOR] 成功提取数据 '${step.dataName}': ${textContent}`);
-                    } catch (e) {
-                        console.warn(`[EXECUTOR] 提取数据 '${step.dataName}' 失败: ${e.message}`);
-                        results.data[step.dataName] = '提取失败';
-                    }
-                    break;
-                case 'compositeExtract':
-                    let template = step.template;
-                    for (const source of step.sources) {
-                        try {
-                            const value = await extractSingleData(page, source.selector);
-                            template = template.replace(new RegExp(`\\$\\{${source.name}\\}`, 'g'), value);
-                        } catch (e) {
-                             console.warn(`[EXECUTOR] 组合数据源 '${source.name}' 提取失败: ${e.message}`);
-                             template = template.replace(new RegExp(`\\$\\{${source.name}\\}`, 'g'), '未找到');
-                        }
-                    }
-                    results.data[step.dataName] = template;
-                    console.log(`[EXECUTOR] 成功组合数据 '${step.dataName}': ${template.replace(/\n/g, '\\n')}`);
+            }
+            // 视觉回归检测在加水印前进行，避免时间戳等每次都不同的内容影响差异分数
+            const workflowId = ctx.workflowStack[ctx.workflowStack.length - 1];
+            const baselineKey = getBaselineKey(ctx, step, fileName);
+            let visualCheck = null;
+            if (step.visualCheck !== false && workflowId && baselineKey) {
+                visualCheck = await compareWithBaseline({ workflowId, key: baselineKey, buffer: screenshotBuffer, threshold: step.diffThreshold })
+                    .catch(error => {
+                        console.warn(`[EXECUTOR] 截图 ${fileName} 视觉回归检测失败: ${error.message}`);
+                        return null;
+                    });
+            }
+            // 图片输出选项：步骤的 imageOptions 覆盖工作流级 imageOptions
+            const imageOptions = { ...ctx.imageOptions, ...(step.imageOptions || {}) };
+            const imagePages = await splitImagePages(screenshotBuffer, imageOptions);
+            const watermarkText = step.watermark ? buildWatermarkText(ctx, step.watermark) : null;
+            const screenshotEntries = [];
+            for (let i = 0; i < imagePages.length; i++) {
+                let pageBuffer = imagePages[i];
+                if (watermarkText) {
+                    const watermarkOptions = typeof step.watermark === 'object' ? step.watermark : {};
+                    pageBuffer = await applyWatermark(pageBuffer, watermarkText, watermarkOptions);
+                }
+                const image = await encodeImage(pageBuffer, imageOptions);
+                const pageFileName = buildImageFileName(fileName, image.extension, imagePages.length > 1 ? i + 1 : null);
+                const url = await uploadArtifact(image.buffer, {
+                    taskId: task._id.toString(),
+                    fileName: pageFileName,
+                    contentType: image.contentType,
+                    workflowId,
+                });
+                screenshotEntries.push({
+                    name: pageFileName,
+                    url,
+                    contentType: image.contentType,
+                    width: image.width,
+                    height: image.height,
+                    ...(imagePages.length > 1 && { page: i + 1, pageCount: imagePages.length }),
+                });
+            }
+
+            const [firstEntry] = screenshotEntries;
+            if (visualCheck) {
+                const { visualDiff, analysis } = visualCheck;
+                firstEntry.visualDiff = visualDiff;
+                if (visualDiff.flagged) {
+                    console.warn(`[EXECUTOR] 截图 ${firstEntry.name} 疑似异常（${visualDiff.reasons.join(', ')}），差异分数: ${visualDiff.score}`);
+                    results.visualAlerts.push({ name: firstEntry.name, url: firstEntry.url, ...visualDiff });
+                } else {
+                    // 基线在整个任务成功后才写入
+                    results.visualBaselines.push({ workflowId, key: baselineKey, analysis, url: firstEntry.url, taskId: task._id.toString() });
+                }
+            }
+            results.screenshots.push(...screenshotEntries);
+            if (ctx.scope) {
+                data[step.dataName || 'screenshot'] = screenshotEntries.length === 1 ? firstEntry.url : screenshotEntries.map(entry => entry.url);
+            }
+            break;
+        }
+
+        case 'savePage': {
+            const formats = [].concat(step.formats || 'pdf');
+            const baseName = (step.saveAs || `${Date.now()}_page`).replace(/\.(pdf|mhtml)$/i, '');
+            for (const format of formats) {
+                const archiveFormat = ARCHIVE_FORMATS[format];
+                if (!archiveFormat) throw new Error(`'savePage' 不支持的格式: ${format}`);
+                console.log(`[EXECUTOR] 正在保存页面存档 (${format})...`);
+                const buffer = await capturePageArchive(page, format, step);
+                const fileName = `${baseName}.${archiveFormat.extension}`;
+                const url = await uploadArtifact(buffer, {
+                    taskId: task._id.toString(),
+                    fileName,
+                    contentType: archiveFormat.mimeType,
+                    workflowId: ctx.workflowStack[ctx.workflowStack.length - 1],
+                });
+                results.archives.push({ name: fileName, url, mimeType: archiveFormat.mimeType, pageUrl: page.url() });
+            }
+            break;
+        }
+
+        case 'extractTable': {
+            if (!step.selector || !step.dataName || !Array.isArray(step.columns)) {
+                throw new Error("'extractTable' action requires 'selector', 'dataName' and 'columns' parameters.");
+            }
+            const rows = [];
+            const maxPages = step.nextPageSelector ? (step.maxPages || 50) : 1;
+            let lastPageSignature = null;
+
+            for (let pageIndex = 1; pageIndex <= maxPages; pageIndex++) {
+                const container = await resolveElement(ctx, step.selector, step.timeout);
+                const pageRows = await extractTableRows(container, step);
+
+                // 翻页后内容未变化（例如点击未生效），视为已到最后一页
+                const signature = JSON.stringify(pageRows);
+                if (signature === lastPageSignature) {
+                    console.log('[EXECUTOR] 翻页后表格内容未变化，停止翻页。');
                     break;
+                }
+                lastPageSignature = signature;
+                rows.push(...pageRows);
+                console.log(`[EXECUTOR] 表格第 ${pageIndex} 页提取到 ${pageRows.length} 行`);
+
+                if (pageIndex === maxPages || await isNextPageDisabled(page, step.nextPageSelector)) break;
+                await page.click(step.nextPageSelector);
+                try {
+                    await page.waitForNetworkIdle({ idleTime: 500, timeout: 10000 });
+                } catch (e) {
+                    console.warn('[EXECUTOR] 翻页后网络静默等待超时，继续提取。');
+                }
             }
+
+            data[step.dataName] = rows;
+            console.log(`[EXECUTOR] 成功提取表格数据 '${step.dataName}': 共 ${rows.length} 行`);
+            break;
+        }
+
+        case 'captureResponse': {
+            if (!step.urlPattern) throw new Error("'captureResponse' action requires a 'urlPattern' parameter.");
+            const handle = armResponseCapture(page, step, data);
+            if (step.wait === true) {
+                // 阻塞等待：先注册监听再执行 trigger 子步骤（触发请求的点击 / 导航），避免响应早于监听到达而漏掉
+                try {
+                    await runSteps(step.trigger, ctx, `${ctx.stepPath}.trigger`);
+                } catch (error) {
+                    handle.disarm();
+                    throw error;
+                }
+                await waitForCapture(step, handle);
+            } else {
+                // 非阻塞：仅注册监听，后续导航/点击触发的响应会被自动捕获，工作流结束前统一等待
+                ctx.pendingCaptures.push({ capture: step, handle });
+            }
+            break;
+        }
+
+        case 'runWorkflow': {
+            if (!step.workflowId) throw new Error("'runWorkflow' action requires a 'workflowId' parameter.");
+            if (typeof ctx.loadWorkflow !== 'function') {
+                throw new Error("'runWorkflow' 需要调用方在 executeActions 的 options 中提供 loadWorkflow。");
+            }
+            const workflowId = String(step.workflowId);
+            if (ctx.workflowStack.includes(workflowId)) {
+                throw new Error(`检测到工作流循环引用: ${[...ctx.workflowStack, workflowId].join(' -> ')}`);
+            }
+
+            const childWorkflow = await ctx.loadWorkflow(workflowId);
+            if (!childWorkflow) throw new Error(`无法找到 ID 为 ${workflowId} 的子工作流。`);
+            const validation = validateWorkflow(childWorkflow);
+            if (!validation.valid) {
+                throw new Error(`子工作流 '${childWorkflow.name || workflowId}' 校验失败: ${summarizeValidation(validation)}`);
+            }
+
+            // 子任务继承父任务的全部输入与 metadata，再由 inputs 覆盖（inputs 已在渲染阶段替换占位符）
+            const childTask = { ...task, ...(step.inputs || {}) };
+            const childResults = createResults();
+            const childPage = step.newPage ? await page.browserContext().newPage() : page;
+            if (step.newPage) await applyProxyAuth(childPage);
+            const childCtx = {
+                ...ctx,
+                page: childPage,
+                task: childTask,
+                results: childResults,
+                data: childResults.data,
+                raw: childResults.rawData,
+                scope: null,
+                pendingCaptures: [],
+                workflowStack: [...ctx.workflowStack, workflowId],
+                imageOptions: { ...ctx.imageOptions, ...(childWorkflow.imageOptions || {}) },
+            };
+
+            console.log(`[EXECUTOR] 开始执行子工作流: ${childWorkflow.name || workflowId}${step.newPage ? '（新页面）' : ''}`);
+            try {
+                await runWorkflowSteps(childWorkflow, childCtx);
+            } finally {
+                if (step.newPage) await childPage.close();
+            }
+            mergeChildResults(ctx, childResults, step.namespace, childWorkflow.name || workflowId);
+            console.log(`[EXECUTOR] 子工作流执行完成: ${childWorkflow.name || workflowId}`);
+            break;
         }
 
+        case 'scrollPage':
+            await autoScroll(page, step.selector || null);
+            break;
+        case 'waitForNetworkIdle':
+            await page.waitForNetworkIdle({ idleTime: 1000, timeout: step.timeout || DEFAULT_TIMEOUTS.networkIdle });
+            break;
+        case 'extractData':
+            try {
+                const textContent = await extractScopedData(ctx, step.selector, step.timeout);
+                if (step.transform) {
+                    data[step.dataName] = applyTransform(textContent, step.transform);
+                    ctx.raw[step.dataName] = textContent;
+                } else {
+                    data[step.dataName] = textContent;
+                }
+                console.log(`[EXECUTOR] 成功提取数据 '${step.dataName}': ${JSON.stringify(data[step.dataName])}`);
+            } catch (e) {
+                // 配置了错误策略时交由 executeStepWithPolicy 处理（重试 / 失败 / 置空）
+                if (!usesLegacyFallback(step)) throw e;
+                console.warn(`[EXECUTOR] 提取数据 '${step.dataName}' 失败: ${e.message}`);
+                data[step.dataName] = '提取失败';
+            }
+            break;
+        case 'compositeExtract': {
+            let template = step.template;
+            for (const source of step.sources) {
+                try {
+                    const text = await extractScopedData(ctx, source.selector, step.timeout);
+                    const value = source.transform ? applyTransform(text, source.transform) : text;
+                    template = template.replace(new RegExp(`\\$\\{${source.name}\\}`, 'g'), value);
+                } catch (e) {
+                     if (!usesLegacyFallback(step)) throw e;
+                     console.warn(`[EXECUTOR] 组合数据源 '${source.name}' 提取失败: ${e.message}`);
+                     template = template.replace(new RegExp(`\\$\\{${source.name}\\}`, 'g'), '未找到');
+                }
+            }
+            if (step.transform) {
+                data[step.dataName] = applyTransform(template, step.transform);
+                ctx.raw[step.dataName] = template;
+            } else {
+                data[step.dataName] = template;
+            }
+            console.log(`[EXECUTOR] 成功组合数据 '${step.dataName}': ${template.replace(/\n/g, '\\n')}`);
+            break;
+        }
+    }
+}
+
+/**
+ * 核心函数：执行工作流中的所有步骤
+ * @param {object} task - 任务对象（包含输入字段与 metadata）
+ * @param {object} workflow - 工作流定义
+ * @param {object} [options]
+ * @param {Function} [options.loadWorkflow] - (workflowId) => Promise<workflow>，runWorkflow 步骤加载子工作流时使用
+ * @param {string} [options.accountId] - 执行任务的账号，同一账号的任务在页面池中串行执行
+ * @param {Function} [options.loadAccount] - (accountId) => Promise<account|null>，解析账号（account-registry 的 getAccount）
+ * @param {object} [options.cookieStore] - Cookie 存储（cookie-store 的 createCookieStore），不传时仅使用浏览器 profile 中的登录态
+ * @param {Function} [options.onProgress] - ({ status, currentStep, totalSteps, currentAction }) => void，顶层步骤开始时调用
+ * @param {Function} [options.onPause] - (taskId, pauseInfo, page) => Promise，触发验证码时调用，resolve 后重新执行该步骤
+ */
+async function executeActions(task, workflow, options = {}) {
+    // 执行前校验工作流定义，避免在真实站点上才暴露配置错误
+    const validation = validateWorkflow(workflow);
+    validation.warnings.forEach(w => console.warn(`[EXECUTOR] 工作流校验警告 ${w.path}: ${w.message}`));
+    if (!validation.valid) {
+        const summary = summarizeValidation(validation);
+        console.error(`[EXECUTOR] 工作流校验失败: ${summary}`);
+        return {
+            status: 'failed',
+            errorMessage: `工作流校验失败: ${summary}`,
+            validationErrors: validation.errors,
+            failedAt: new Date()
+        };
+    }
+
+    // 深拷贝工作流以避免修改内存中的缓存对象（步骤中的占位符在执行时由 template-engine 渲染）
+    const processedWorkflow = JSON.parse(JSON.stringify(workflow));
+
+    let account;
+    try {
+        account = await resolveAccount(options);
+    } catch (error) {
+        console.error(`[EXECUTOR] ${error.message}`);
+        return {
+            status: 'failed',
+            errorMessage: error.message,
+            accountId: options.accountId,
+            failedAt: new Date()
+        };
+    }
+    accountProfiles.set(account.accountId, account.userDataDir);
+
+    const lease = await browserPool.acquire({ accountId: account.accountId, taskId: task._id && String(task._id) });
+    const page = lease.page;
+    const recorder = attachPageRecorder(page);
+    const results = createResults();
+    const ctx = {
+        page,
+        task,
+        results,
+        data: results.data,
+        raw: results.rawData,
+        scope: null,
+        account,
+        pendingCaptures: [],
+        loadWorkflow: options.loadWorkflow,
+        onProgress: options.onProgress,
+        onPause: options.onPause,
+        imageOptions: workflow.imageOptions || {},
+        workflowStack: workflow._id ? [String(workflow._id)] : [],
+    };
+    
+    try {
+        // 待办 1.2: 删除硬编码的导航
+        // const url = `https://www.xingtu.cn/ad/creator/author-homepage/douyin-video/${xingtuId}`;
+        // console.log(`[EXECUTOR] 导航至: ${url}`);
+        // await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+        
+        const injectedCookies = options.cookieStore ? await injectStoredCookies(page, account, options.cookieStore) : null;
+
+        console.log(`[EXECUTOR] 开始执行工作流步骤（账号: ${account.accountId}）...`);
+
+        await runWorkflowSteps(processedWorkflow, ctx);
+        await commitVisualBaselines(results.visualBaselines);
+        if (options.cookieStore) await persistRotatedCookies(page, account, options.cookieStore, injectedCookies);
+
         return {
             status: 'completed',
-            result: { screenshots: results.screenshots, data: results.data },
+            result: {
+                screenshots: results.screenshots,
+                ...(results.archives.length > 0 && { archives: results.archives }),
+                data: results.data,
+                ...(Object.keys(results.rawData).length > 0 && { rawData: results.rawData }),
+                ...(results.stepErrors.length > 0 && { stepErrors: results.stepErrors }),
+                ...(results.visualAlerts.length > 0 && { visualAlerts: results.visualAlerts })
+            },
+            // 截图疑似异常时标记任务待人工复核
+            ...(results.visualAlerts.length > 0 && { needsReview: true }),
+            accountId: account.accountId,
             completedAt: new Date()
         };
 
     } catch (error) {
         console.error(`[EXECUTOR] 执行动作时发生错误:`, error);
+        const failedStep = error.failedStep && { ...error.failedStep, stepCount: processedWorkflow.steps.length };
+        const failureEvidence = await captureFailureEvidence(page, recorder, {
+            taskId: String(task._id),
+            workflowId: ctx.workflowStack[0],
+            failedStep,
+            error,
+        }).catch(e => {
+            console.warn(`[EXECUTOR] 采集失败现场出错: ${e.message}`);
+            return null;
+        });
         return {
             status: 'failed',
             errorMessage: error.stack,
+            ...(failedStep && { failedStep }),
+            ...(failureEvidence && { failureEvidence }),
+            // 登录墙 / 验证码 / 风控：调用方据此暂停账号、停止批量任务等
+            ...(error instanceof RiskDetectedError && {
+                errorCode: error.code,
+                risk: { kind: error.kind, url: error.url, evidence: error.evidence }
+            }),
+            accountId: account.accountId,
             failedAt: new Date()
         };
     } finally {
-        if (page) await page.close();
+        if (recorder) recorder.detach();
+        await lease.release();
+    }
+}
+
+/**
+ * 探测账号登录态：在账号的浏览器中打开探测页面，跳转到登录页即为未登录
+ * 与任务共用页面池，同一账号有任务执行时排队等待
+ * @param {object} [options] - accountId / loadAccount / cookieStore，同 executeActions
+ * @returns {Promise<{ accountId: string, loggedIn: boolean|null, url?: string, code?: string, reason?: string }>}
+ *          探测本身失败（如导航超时）时 loggedIn 为 null，reason 为错误信息
+ */
+async function probeSession(options = {}) {
+    const account = await resolveAccount(options);
+    accountProfiles.set(account.accountId, account.userDataDir);
+
+    const lease = await browserPool.acquire({ accountId: account.accountId, taskId: 'session-probe' });
+    const page = lease.page;
+    try {
+        if (options.cookieStore) await injectStoredCookies(page, account, options.cookieStore);
+        return { accountId: account.accountId, ...(await openProbePage(page)) };
+    } catch (error) {
+        return { accountId: account.accountId, loggedIn: null, reason: `探测失败: ${error.message}` };
+    } finally {
+        await lease.release();
+    }
+}
+
+/**
+ * 辅助函数：打开探测页面并判断登录态，跳转到登录页为未登录
+ */
+async function openProbePage(page) {
+    await page.goto(SESSION_PROBE_URL, { waitUntil: 'networkidle2', timeout: DEFAULT_TIMEOUTS.navigation });
+    await new Promise(resolve => setTimeout(resolve, SESSION_PROBE_SETTLE));
+
+    const url = page.url();
+    if (isLoginUrl(url)) {
+        return { loggedIn: false, url, code: RISK_CODES.LOGIN_REQUIRED, reason: '跳转到登录页' };
+    }
+    // 验证码 / 风控页面说明登录态仍在，一并记录
+    const risk = await detectRisk(page);
+    return { loggedIn: true, url, ...(risk && { code: risk.code, reason: risk.message }) };
+}
+
+/**
+ * 验证尚未启用的登录凭证（如上传的 Cookie / profile）：用独立的浏览器打开探测页面，不影响账号正在使用的浏览器
+ * @param {object} credentials
+ * @param {string} [credentials.userDataDir] - 待验证的 profile 目录，未提供时使用临时的空 profile
+ * @param {Array} [credentials.cookies] - 待验证的 Cookie，打开探测页面前注入
+ * @returns {Promise<{ loggedIn: boolean|null, url?: string, code?: string, reason?: string }>} 探测本身失败时 loggedIn 为 null
+ */
+async function probeCredentials({ userDataDir, cookies } = {}) {
+    const tempDir = userDataDir ? null : await fs.promises.mkdtemp(path.join(os.tmpdir(), 'probe-profile-'));
+    let browser;
+    try {
+        browser = await launchBrowser(getDefaultWorkerProfile(), { userDataDir: userDataDir || tempDir });
+        const page = await browser.newPage();
+        await applyProxyAuth(page);
+        if (cookies) {
+            const params = toCookieParams(cookies);
+            if (params.length > 0) await page.setCookie(...params);
+        }
+        return await openProbePage(page);
+    } catch (error) {
+        return { loggedIn: null, reason: `探测失败: ${error.message}` };
+    } finally {
+        if (browser) await browser.close().catch(e => console.warn(`[EXECUTOR] 关闭探测浏览器失败: ${e.message}`));
+        if (tempDir) await fs.promises.rm(tempDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * 在账号的浏览器已关闭的状态下执行 fn（替换 / 恢复 profile 等需要独占 profile 目录的操作）
+ * 先由页面池排空该账号（等待其全部任务结束并暂停新租用，不打开页面），再关闭使用该 profile 的浏览器；fn 完成后恢复租用
+ * @param {object} options - accountId / loadAccount，同 executeActions
+ * @param {Function} fn - async (account) => any
+ */
+async function runWithProfileStopped(options, fn) {
+    const account = await resolveAccount(options);
+    accountProfiles.set(account.accountId, account.userDataDir);
+
+    const drained = await browserPool.drainAccount(account.accountId);
+    try {
+        if (browserLaunching.has(account.userDataDir)) {
+            await browserLaunching.get(account.userDataDir).catch(() => {});
+        }
+        const browser = browsers.get(account.userDataDir);
+        if (browser) {
+            browsers.delete(account.userDataDir);
+            await browser.close().catch(e => console.warn(`[EXECUTOR] 关闭浏览器失败: ${e.message}`));
+        }
+        return await fn(account);
+    } finally {
+        drained.release();
     }
 }
 
-module.exports = { handleLogin, executeActions };
+module.exports = {
+    handleLogin,
+    executeActions,
+    getPoolStats,
+    detectSliderCaptcha,
+    probeSession,
+    probeCredentials,
+    runWithProfileStopped,
+};
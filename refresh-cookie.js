@@ -1,11 +1,18 @@
 /**
  * refresh-cookie.js
- * 本地登录脚本：打开浏览器 → 用户手动登录 → 导出 Cookie → 上传到 ECS
+ * 本地登录脚本：打开浏览器 → 用户手动登录 → 导出 Cookie → 通过 task-server 上传接口上传到 ECS
  *
  * 使用方法：node refresh-cookie.js
+ * 配置（.env 或环境变量）：
+ *   UPLOAD_TOKEN     - 上传令牌（与 ECS 上 task-server 的 UPLOAD_TOKEN 一致，必填）
+ *   TASK_SERVER_URL  - task-server 地址（必填），非本机地址须为 https://；经 ssh -L 转发时可用 http://localhost:3001
+ *   ALLOW_INSECURE_UPLOAD - 设为 true 时允许 http:// 非本机地址（令牌与凭证明文传输，不推荐）
+ *   ACCOUNT_ID       - 上传到的账号，默认 default
  */
 
-const puppeteer = require('puppeteer-core');
+require('dotenv').config();
+const { launchBrowser } = require('./browser-launcher');
+const { resolveTaskServerUrl } = require('./credential-upload');
 const fs = require('fs');
 const path = require('path');
 
@@ -17,11 +24,10 @@ const CONFIG = {
     successUrlPattern: /xingtu\.cn\/(gw|ad|supplier)/,
     // Cookie 输出文件
     cookieFile: path.join(__dirname, 'xingtu-cookies.json'),
-    // ECS 服务器配置
-    ecsHost: '14.103.18.8',
-    ecsUser: 'root',
-    ecsPassword: '64223902Kz',
-    ecsPath: '/opt/puppeteer-executor/xingtu-cookies.json',
+    // task-server 上传接口（启动时由 resolveTaskServerUrl 读取并检查 TASK_SERVER_URL）
+    serverUrl: null,
+    uploadToken: process.env.UPLOAD_TOKEN,
+    accountId: process.env.ACCOUNT_ID || 'default',
     // 超时时间（5分钟，给用户足够时间处理滑块）
     timeout: 5 * 60 * 1000
 };
@@ -57,17 +63,23 @@ async function main() {
     console.log('   3. 如果出现滑块验证，请手动完成');
     console.log('   4. 登录成功后，脚本会自动导出 Cookie 并上传到 ECS');
     console.log('');
+
+    if (!CONFIG.uploadToken) {
+        console.error('❌ 未配置 UPLOAD_TOKEN（在 .env 中设置，与 ECS 上 task-server 的 UPLOAD_TOKEN 一致）');
+        process.exit(1);
+    }
+    try {
+        CONFIG.serverUrl = resolveTaskServerUrl();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
     console.log('⏳ 正在启动浏览器...');
 
-    const browser = await puppeteer.launch({
-        headless: false,  // 显示浏览器窗口
-        executablePath: '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-        defaultViewport: { width: 1280, height: 800 },
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-blink-features=AutomationControlled'
-        ]
+    // 显示浏览器窗口，浏览器路径由 browser-launcher 自动查找（可用 CHROME_PATH 指定）
+    const browser = await launchBrowser('interactive-login', {
+        defaultViewport: { width: 1280, height: 800 }
     });
 
     try {
@@ -121,8 +133,8 @@ async function main() {
         console.log('');
 
         // 上传到 ECS
-        console.log('☁️  正在上传到 ECS 服务器...');
-        await uploadToECS();
+        console.log(`☁️  正在上传到 ECS 服务器（账号: ${CONFIG.accountId}）...`);
+        await uploadCookies(cookies);
 
         console.log('');
         console.log('='.repeat(50));
@@ -142,29 +154,35 @@ async function main() {
 }
 
 /**
- * 通过 SCP 上传 Cookie 到 ECS
+ * 通过 task-server 上传接口上传 Cookie（服务器验证登录态通过后才会替换，并保留上一版本）
  */
-async function uploadToECS() {
-    const { execSync } = require('child_process');
+async function uploadCookies(cookies) {
+    const url = `${CONFIG.serverUrl}/api/accounts/${encodeURIComponent(CONFIG.accountId)}/cookies`;
 
     try {
-        // 使用 sshpass + scp 上传
-        const scpCommand = `sshpass -p '${CONFIG.ecsPassword}' scp -o StrictHostKeyChecking=no "${CONFIG.cookieFile}" ${CONFIG.ecsUser}@${CONFIG.ecsHost}:${CONFIG.ecsPath}`;
-
-        execSync(scpCommand, { stdio: 'pipe' });
-        console.log('   ✅ 上传成功！');
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${CONFIG.uploadToken}`
+            },
+            body: JSON.stringify({ cookies })
+        });
+        const result = await response.json().catch(() => ({}));
 
-        // 验证上传
-        const verifyCommand = `sshpass -p '${CONFIG.ecsPassword}' ssh -o StrictHostKeyChecking=no ${CONFIG.ecsUser}@${CONFIG.ecsHost} "ls -la ${CONFIG.ecsPath} && echo '---' && head -c 100 ${CONFIG.ecsPath}"`;
-        const result = execSync(verifyCommand, { encoding: 'utf-8' });
-        console.log('   📄 ECS 文件信息:');
-        console.log('   ' + result.split('\n')[0]);
+        if (!response.ok || !result.success) {
+            throw new Error(`HTTP ${response.status}: ${result.error || response.statusText}`);
+        }
+        console.log(`   ✅ 上传成功！已写入 ${result.store} 存储（${result.cookieCount} 个 Cookie）`);
+        if (result.session) {
+            console.log(`   🔍 服务器登录态: ${result.session.loggedIn === true ? '已登录' : result.session.reason || '未知'}`);
+        }
 
     } catch (error) {
-        console.error('   ⚠️  SCP 上传失败:', error.message);
+        console.error('   ⚠️  上传失败:', error.message);
         console.log('');
-        console.log('   💡 备选方案：手动上传');
-        console.log(`      scp "${CONFIG.cookieFile}" ${CONFIG.ecsUser}@${CONFIG.ecsHost}:${CONFIG.ecsPath}`);
+        console.log(`   💡 本地 Cookie 文件已保存在 ${CONFIG.cookieFile}，修复问题后可重新运行本脚本`);
+        process.exitCode = 1;
     }
 }
 
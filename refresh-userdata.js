@@ -1,14 +1,22 @@
 /**
  * refresh-userdata.js
- * 本地登录脚本：使用 userDataDir 登录星图，然后同步到 ECS
+ * 本地登录脚本：使用 userDataDir 登录星图，然后打包通过 task-server 上传接口同步到 ECS
  *
  * 使用方法：node refresh-userdata.js
+ * 配置（.env 或环境变量）：
+ *   UPLOAD_TOKEN     - 上传令牌（与 ECS 上 task-server 的 UPLOAD_TOKEN 一致，必填）
+ *   TASK_SERVER_URL  - task-server 地址（必填），非本机地址须为 https://；经 ssh -L 转发时可用 http://localhost:3001
+ *   ALLOW_INSECURE_UPLOAD - 设为 true 时允许 http:// 非本机地址（令牌与凭证明文传输，不推荐）
+ *   ACCOUNT_ID       - 上传到的账号，默认 default
  */
 
-const puppeteer = require('puppeteer-core');
+require('dotenv').config();
+const { launchBrowser } = require('./browser-launcher');
+const { resolveTaskServerUrl } = require('./credential-upload');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { execSync } = require('child_process');
+const { execFileSync } = require('child_process');
 
 // 配置
 const CONFIG = {
@@ -18,11 +26,12 @@ const CONFIG = {
     loginUrl: 'https://www.xingtu.cn/login',
     // 登录成功后会跳转到的页面
     successUrlPattern: /xingtu\.cn\/(gw|ad|supplier)/,
-    // ECS 服务器配置
-    ecsHost: '14.103.18.8',
-    ecsUser: 'root',
-    ecsPassword: '64223902Kz',
-    ecsUserDataDir: '/opt/puppeteer-executor/user_data_agent',
+    // task-server 上传接口（启动时由 resolveTaskServerUrl 读取并检查 TASK_SERVER_URL）
+    serverUrl: null,
+    uploadToken: process.env.UPLOAD_TOKEN,
+    accountId: process.env.ACCOUNT_ID || 'default',
+    // 打包时排除的文件：锁文件与可重建的缓存
+    archiveExcludes: ['Singleton*', 'Cache', 'Code Cache', 'GPUCache'],
     // 超时时间（5分钟）
     timeout: 5 * 60 * 1000
 };
@@ -58,25 +67,29 @@ async function main() {
     console.log('   3. 登录成功后，随意浏览确认状态正常');
     console.log('   4. 确认后脚本会将 userDataDir 同步到 ECS');
     console.log('');
+
+    if (!CONFIG.uploadToken) {
+        console.error('❌ 未配置 UPLOAD_TOKEN（在 .env 中设置，与 ECS 上 task-server 的 UPLOAD_TOKEN 一致）');
+        process.exit(1);
+    }
+    try {
+        CONFIG.serverUrl = resolveTaskServerUrl();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
     console.log(`📁 本地 userDataDir: ${CONFIG.localUserDataDir}`);
-    console.log(`🖥️  ECS 地址: ${CONFIG.ecsHost}`);
+    console.log(`🖥️  ECS 地址: ${CONFIG.serverUrl}（账号: ${CONFIG.accountId}）`);
     console.log('');
 
     await waitForEnter('准备好后按 Enter 键启动浏览器...');
 
     console.log('⏳ 正在启动浏览器...');
 
-    const browser = await puppeteer.launch({
-        headless: false,  // 显示浏览器窗口
-        executablePath: '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-        userDataDir: CONFIG.localUserDataDir,
-        defaultViewport: null,
-        args: [
-            '--start-maximized',
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-blink-features=AutomationControlled'
-        ]
+    // 显示浏览器窗口，浏览器路径由 browser-launcher 自动查找（可用 CHROME_PATH 指定）
+    const browser = await launchBrowser('interactive-login', {
+        userDataDir: CONFIG.localUserDataDir
     });
 
     try {
@@ -145,31 +158,30 @@ async function main() {
         await new Promise(r => setTimeout(r, 2000));
 
         console.log('');
-        console.log('📦 正在同步 userDataDir 到 ECS...');
+        console.log('📦 正在打包 userDataDir...');
         console.log(`   源: ${CONFIG.localUserDataDir}`);
-        console.log(`   目标: ${CONFIG.ecsHost}:${CONFIG.ecsUserDataDir}`);
-        console.log('');
-
-        // 先备份 ECS 上的旧数据
-        console.log('⏳ 备份 ECS 旧数据...');
-        execSync(`sshpass -p '${CONFIG.ecsPassword}' ssh -o StrictHostKeyChecking=no ${CONFIG.ecsUser}@${CONFIG.ecsHost} "cd /opt/puppeteer-executor && [ -d user_data_agent ] && mv user_data_agent user_data_agent.backup.$(date +%Y%m%d_%H%M%S) || true"`, {
-            stdio: 'inherit'
-        });
-
-        // 使用 rsync 同步（排除锁文件和临时文件）
-        console.log('⏳ 同步 userDataDir（这可能需要几分钟）...');
-        execSync(`rsync -avz --progress --exclude='SingletonLock' --exclude='SingletonCookie' --exclude='SingletonSocket' -e "sshpass -p '${CONFIG.ecsPassword}' ssh -o StrictHostKeyChecking=no" "${CONFIG.localUserDataDir}/" ${CONFIG.ecsUser}@${CONFIG.ecsHost}:${CONFIG.ecsUserDataDir}/`, {
-            stdio: 'inherit'
-        });
+        const archivePath = path.join(os.tmpdir(), `userdata-${CONFIG.accountId}-${Date.now()}.tar.gz`);
+        execFileSync('tar', [
+            '-czf', archivePath,
+            ...CONFIG.archiveExcludes.map(pattern => `--exclude=${pattern}`),
+            '-C', CONFIG.localUserDataDir, '.'
+        ], { stdio: 'inherit' });
+        console.log(`   ✅ 压缩包大小: ${Math.round(fs.statSync(archivePath).size / 1024 / 1024)}MB`);
+
+        try {
+            // 服务器验证登录态通过后才会替换，原 profile 先归档为快照；替换后验证失败时服务器自动回滚
+            console.log('');
+            console.log('⏳ 上传到 ECS 并验证登录态（这可能需要几分钟）...');
+            const result = await uploadProfile(archivePath);
 
-        console.log('');
-        console.log('✅ 同步完成！');
-        console.log('');
-        console.log('📝 后续步骤：');
-        console.log('   1. ECS 上的 userDataDir 已更新');
-        console.log('   2. 重启 ECS 服务：pm2 restart task-server');
-        console.log('   3. 测试执行任务，应该不会再出现登录问题');
-        console.log('');
+            console.log('');
+            console.log('✅ 同步完成！');
+            console.log(`   服务器登录态: ${result.session?.loggedIn === true ? '已登录' : result.session?.reason || '未知'}`);
+            if (result.snapshot) console.log(`   原 profile 已归档为快照: ${result.snapshot.snapshotId}`);
+            console.log('');
+        } finally {
+            fs.rmSync(archivePath, { force: true });
+        }
 
     } catch (error) {
         console.error('❌ 错误:', error.message);
@@ -178,4 +190,27 @@ async function main() {
     }
 }
 
+/**
+ * 通过 task-server 上传接口上传 profile 压缩包
+ */
+async function uploadProfile(archivePath) {
+    const url = `${CONFIG.serverUrl}/api/accounts/${encodeURIComponent(CONFIG.accountId)}/profile`;
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/gzip',
+            'Content-Length': String(fs.statSync(archivePath).size),
+            'Authorization': `Bearer ${CONFIG.uploadToken}`
+        },
+        body: fs.createReadStream(archivePath),
+        duplex: 'half'
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || !result.success) {
+        throw new Error(`上传失败 HTTP ${response.status}: ${result.error || response.statusText}`);
+    }
+    return result;
+}
+
 main().catch(console.error);
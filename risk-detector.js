@@ -0,0 +1,180 @@
+/**
+ * @file risk-detector.js
+ * @version 1.0
+ * @description 风控与登录墙检测 - 在导航、点击后及步骤失败时检查页面，把“选择器超时”等笼统错误还原为明确原因
+ *
+ * 检测项与错误码：
+ * - 登录跳转（URL 含 redirect_uri 或跳转到登录页）          → LOGIN_REQUIRED
+ * - 滑块验证（#captcha_container 可见）                     → CAPTCHA
+ * - 短信 / 手机验证弹窗（弹窗文本命中关键字）                → CAPTCHA
+ * - 风控弹窗（弹窗文本命中关键字，如“操作频繁”“账号异常”）   → RISK_CONTROL
+ * - 无权限页面（异常页 / 内容很少的页面命中“无权限”等关键字）→ RISK_CONTROL
+ *
+ * 关键字可通过环境变量追加（逗号分隔）：RISK_MODAL_KEYWORDS、RISK_SMS_KEYWORDS、RISK_NO_PERMISSION_KEYWORDS；
+ * RISK_DETECTION=false 可关闭检测。
+ */
+
+const RISK_CODES = {
+    LOGIN_REQUIRED: 'LOGIN_REQUIRED',
+    CAPTCHA: 'CAPTCHA',
+    RISK_CONTROL: 'RISK_CONTROL',
+};
+
+// 滑块验证容器（星图滑块 DOM 结构见 待办-开发计划.md）
+const SLIDER_SELECTORS = ['#captcha_container', '.vc-captcha-verify'];
+// 弹窗容器：短信验证与风控提示只在弹窗内匹配，避免正文中的普通文字误报
+const MODAL_SELECTORS = ['[role="dialog"]', '[role="alertdialog"]', '.modal', '[class*="modal"]', '[class*="dialog"]', '#captcha_container'];
+// 无权限 / 异常页的容器
+const EXCEPTION_SELECTORS = ['[class*="no-permission"]', '[class*="noPermission"]', '[class*="no-auth"]', '[class*="exception"]', '[class*="forbidden"]'];
+// 页面正文少于该长度时，正文命中无权限关键字也视为无权限页
+const SHORT_PAGE_TEXT = 300;
+// 登录页 URL
+const LOGIN_URL_PATTERN = /[?&]redirect_uri=|\/login(\/|\?|$)|passport\./i;
+
+function extendKeywords(defaults, envValue) {
+    return defaults.concat((envValue || '').split(',').map(k => k.trim()).filter(Boolean));
+}
+
+const SMS_KEYWORDS = extendKeywords(['短信验证', '手机验证', '验证手机', '获取验证码', '输入验证码', '身份验证'], process.env.RISK_SMS_KEYWORDS);
+const RISK_MODAL_KEYWORDS = extendKeywords(['操作频繁', '访问频繁', '请求过于频繁', '账号存在风险', '账号异常', '环境异常', '风险提示', '账号已被封禁'], process.env.RISK_MODAL_KEYWORDS);
+const NO_PERMISSION_KEYWORDS = extendKeywords(['无权限', '没有权限', '暂无权限', '权限不足', '无访问权限', '403 Forbidden'], process.env.RISK_NO_PERMISSION_KEYWORDS);
+
+/**
+ * 风控 / 登录墙错误
+ * - code: LOGIN_REQUIRED | CAPTCHA | RISK_CONTROL
+ * - kind: login_redirect | slider | sms | risk_modal | no_permission
+ */
+class RiskDetectedError extends Error {
+    constructor({ code, kind, message, url, evidence }) {
+        super(message);
+        this.name = 'RiskDetectedError';
+        this.code = code;
+        this.kind = kind;
+        this.url = url;
+        this.evidence = evidence;
+    }
+}
+
+/**
+ * 页面内执行的检测：返回命中的检测项，未命中返回 null
+ */
+function inspectPage({ sliderSelectors, modalSelectors, exceptionSelectors, smsKeywords, riskKeywords, noPermissionKeywords, shortPageText }) {
+    const isVisible = el => {
+        const style = window.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+    };
+    const visibleElements = selectors => selectors
+        .flatMap(selector => Array.from(document.querySelectorAll(selector)))
+        .filter(isVisible);
+    const findKeyword = (text, keywords) => keywords.find(keyword => text.includes(keyword));
+
+    const sliderSelector = sliderSelectors.find(selector => visibleElements([selector]).length > 0);
+    if (sliderSelector) return { kind: 'slider', evidence: sliderSelector };
+
+    const modalText = visibleElements(modalSelectors).map(el => el.innerText || '').join('\n');
+    const smsKeyword = findKeyword(modalText, smsKeywords);
+    if (smsKeyword) return { kind: 'sms', evidence: smsKeyword };
+    const riskKeyword = findKeyword(modalText, riskKeywords);
+    if (riskKeyword) return { kind: 'risk_modal', evidence: riskKeyword };
+
+    const exceptionText = visibleElements(exceptionSelectors).map(el => el.innerText || '').join('\n');
+    const bodyText = document.body ? document.body.innerText.trim() : '';
+    const noPermissionKeyword = findKeyword(exceptionText, noPermissionKeywords)
+        || (bodyText.length < shortPageText && findKeyword(bodyText, noPermissionKeywords));
+    if (noPermissionKeyword) return { kind: 'no_permission', evidence: noPermissionKeyword };
+
+    return null;
+}
+
+const KIND_DETAILS = {
+    login_redirect: { code: RISK_CODES.LOGIN_REQUIRED, message: '登录态已失效，页面跳转到登录页' },
+    slider: { code: RISK_CODES.CAPTCHA, message: '触发滑块验证' },
+    sms: { code: RISK_CODES.CAPTCHA, message: '触发短信 / 手机验证' },
+    risk_modal: { code: RISK_CODES.RISK_CONTROL, message: '触发风控提示' },
+    no_permission: { code: RISK_CODES.RISK_CONTROL, message: '账号无权限访问该页面' },
+};
+
+/**
+ * URL 是否为登录页（含 redirect_uri 的跳转）
+ */
+function isLoginUrl(url) {
+    return LOGIN_URL_PATTERN.test(url || '');
+}
+
+function isDetectionEnabled() {
+    return process.env.RISK_DETECTION !== 'false';
+}
+
+/**
+ * 检测页面是否处于登录墙 / 验证码 / 风控状态
+ * 页面为空、已关闭或检测本身失败（页面正在跳转等）时返回 null
+ * @returns {Promise<{ code: string, kind: string, message: string, url: string, evidence?: string }|null>}
+ */
+async function detectRisk(page) {
+    if (!isDetectionEnabled() || !page || page.isClosed()) return null;
+
+    const url = page.url();
+    if (isLoginUrl(url)) {
+        return { ...KIND_DETAILS.login_redirect, kind: 'login_redirect', url };
+    }
+
+    let hit;
+    try {
+        hit = await page.evaluate(inspectPage, {
+            sliderSelectors: SLIDER_SELECTORS,
+            modalSelectors: MODAL_SELECTORS,
+            exceptionSelectors: EXCEPTION_SELECTORS,
+            smsKeywords: SMS_KEYWORDS,
+            riskKeywords: RISK_MODAL_KEYWORDS,
+            noPermissionKeywords: NO_PERMISSION_KEYWORDS,
+            shortPageText: SHORT_PAGE_TEXT,
+        });
+    } catch (error) {
+        return null;
+    }
+    if (!hit) return null;
+    return { ...KIND_DETAILS[hit.kind], kind: hit.kind, url, evidence: hit.evidence };
+}
+
+/**
+ * 检测到风险时抛出 RiskDetectedError
+ * @param {Page} page
+ * @param {string} [stage] - 检测时机（用于错误信息），如“导航后”“点击后”
+ */
+async function assertNoRisk(page, stage) {
+    const risk = await detectRisk(page);
+    if (!risk) return;
+    const evidence = risk.evidence ? `（${risk.evidence}）` : '';
+    throw new RiskDetectedError({
+        ...risk,
+        message: `[${risk.code}] ${risk.message}${evidence}${stage ? `，检测于${stage}` : ''}: ${risk.url}`,
+    });
+}
+
+/**
+ * 页面上是否有可见的滑块验证（供 VNC 模式恢复任务前确认），page 为空时返回 false
+ */
+async function detectSliderCaptcha(page) {
+    if (!page || page.isClosed()) return false;
+    try {
+        return await page.evaluate(selectors => selectors.some(selector =>
+            Array.from(document.querySelectorAll(selector)).some(el => {
+                const style = window.getComputedStyle(el);
+                const rect = el.getBoundingClientRect();
+                return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+            })
+        ), SLIDER_SELECTORS);
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    RISK_CODES,
+    RiskDetectedError,
+    detectRisk,
+    assertNoRisk,
+    detectSliderCaptcha,
+    isLoginUrl,
+};
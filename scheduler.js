@@ -1,8 +1,26 @@
 /**
  * @file scheduler.js
- * @version 1.4.3
+ * @version 1.7.0
  * @description 全局定时调度器 - 根据 system_config 配置自动执行日报数据抓取
  *
+ * v1.7.0 变更:
+ * - parseNumericValue 改为保留小数，日报数据由 parseStoredNumber 沿用原有的整数存储（百分比保留原值）
+ * - 执行记录的失败任务增加 failedStep（失败步骤序号、路径与动作）及 evidenceUrl（失败现场取证清单链接）
+ *
+ * v1.6.0 变更:
+ * - task-server 返回 errorCode（LOGIN_REQUIRED / CAPTCHA / RISK_CONTROL）时，同一项目剩余的合作记录直接跳过，避免继续触发风控
+ * - 执行记录的 tasks 增加 errorCode
+ *
+ * v1.5.0 变更:
+ * - 项目内的抓取任务改为并发提交（SCHEDULER_CONCURRENCY，默认 3），由 task-server 的页面池控制实际并发与同账号串行
+ * - 请求超时按并发数放大，任务在页面池中排队的时间不计为失败
+ * - 执行记录中的 tasks 仍按合作记录顺序保存
+ *
+ * v1.4.4 变更:
+ * - parseNumericValue 移至 value-transforms.js，与执行器 transform、local-agent 共用
+ * - 常规日报的播放量改用 parseNumericValue 解析，不再单独处理 w/万（此前两处逻辑对 "1,545.92w" 等输入结果不一致）
+ * - 任务 metadata 增加 talentName，供截图水印标注达人名称
+ *
  * v1.4.3 变更 (2026-01-07):
  * - 修复数据存储与前端不一致的问题（4项修复）
  * - 新增 parseNumericValue: 解析数值字符串为数字（如 "3,705,346" → 3705346）
@@ -74,11 +92,17 @@ require('dotenv').config();
 const cron = require('node-cron');
 const { MongoClient, ObjectId } = require('mongodb');
 const axios = require('axios');
+const { parseNumericValue } = require('./value-transforms');
 
 // --- 配置 ---
 const MONGO_URI = process.env.MONGO_URI;
 const DB_NAME = 'agentworks_db';
 const TASK_SERVER_URL = process.env.TASK_SERVER_URL || 'http://localhost:3001';
+// v1.5: 同一项目同时提交给 task-server 的抓取任务数
+const SCHEDULER_CONCURRENCY = parseInt(process.env.SCHEDULER_CONCURRENCY, 10) || 3;
+// 单个任务的执行超时；并发提交时任务可能在 task-server 页面池中排队，请求超时按并发数放大
+const TASK_TIMEOUT_MS = 120000;
+const TASK_REQUEST_TIMEOUT_MS = TASK_TIMEOUT_MS * SCHEDULER_CONCURRENCY;
 
 // --- 集合名称 ---
 // v1.1: 修复集合名称，与云函数 dailyReportApi 保持一致
@@ -93,35 +117,12 @@ let client;
 let db;
 
 /**
- * v1.4.3: 解析数值字符串为数字（与前端 parseNumericValue 保持一致）
- * 支持格式:
- * - "1,169,823" -> 1169823
- * - "16.79w" -> 167900
- * - "0.07%" -> 0.07 (百分比保留原值)
+ * v1.7: 日报数据存储为整数（与前端一致），百分比保留原值
  */
-function parseNumericValue(value) {
-    if (typeof value === 'number') return value;
-    if (typeof value !== 'string') return null;
-
-    const str = value.trim();
-    if (!str) return null;
-
-    // 处理百分比（保留原值，如 0.07%）
-    if (str.endsWith('%')) {
-        const num = parseFloat(str.slice(0, -1).replace(/,/g, ''));
-        return isNaN(num) ? null : num;
-    }
-
-    // 处理万（w）格式
-    const wanMatch = str.match(/^([\d,.]+)\s*[w万]$/i);
-    if (wanMatch) {
-        const num = parseFloat(wanMatch[1].replace(/,/g, ''));
-        return isNaN(num) ? null : Math.round(num * 10000);
-    }
-
-    // 普通数字（移除逗号）
-    const num = parseFloat(str.replace(/,/g, ''));
-    return isNaN(num) ? null : Math.round(num);
+function parseStoredNumber(value) {
+    const num = parseNumericValue(value);
+    if (num === null || (typeof value === 'string' && value.trim().endsWith('%'))) return num;
+    return Math.round(num);
 }
 
 /**
@@ -132,7 +133,7 @@ function parseDataFromResult(rawData) {
 
     const parsedData = {};
     for (const [key, value] of Object.entries(rawData)) {
-        const num = parseNumericValue(value);
+        const num = parseStoredNumber(value);
         if (num !== null) {
             parsedData[key] = num;
         }
@@ -141,6 +142,38 @@ function parseDataFromResult(rawData) {
     return Object.keys(parsedData).length > 0 ? parsedData : null;
 }
 
+// v1.6: 账号需要人工处理（重新登录 / 验证码 / 风控）的错误码，命中后停止抓取该项目剩余的合作记录
+const ACCOUNT_BLOCKING_ERROR_CODES = ['LOGIN_REQUIRED', 'CAPTCHA', 'RISK_CONTROL'];
+
+/**
+ * v1.6: task-server 返回失败时抛出带 errorCode 的错误
+ */
+function toTaskError(data) {
+    const error = new Error(data.error || '抓取失败');
+    error.errorCode = data.errorCode || null;
+    // v1.7: 执行器返回的失败步骤与失败现场取证
+    error.failedStep = data.results?.failedStep || null;
+    error.evidenceUrl = data.results?.failureEvidence?.bundleUrl || null;
+    return error;
+}
+
+/**
+ * v1.5: 以有限并发对每个元素执行 worker
+ * @param {Array} items - 待处理元素
+ * @param {number} limit - 最大并发数
+ * @param {Function} worker - async (item, index) => void
+ */
+async function runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+}
+
 /**
  * 初始化数据库连接
  */
@@ -418,17 +451,31 @@ async function executeProjectFetch(project, workflowRules) {
     const insertResult = await db.collection(SCHEDULED_EXECUTIONS_COLLECTION).insertOne(execution);
     const executionId = insertResult.insertedId;
 
-    // 串行执行每个抓取任务
+    // v1.5: 并发执行抓取任务（每个 worker 内任务间仍保留间隔）
     const startTime = Date.now();
     let successCount = 0;
     let failedCount = 0;
     let skippedCount = 0;
     const updatedTasks = [];
+    // v1.6: 账号被登录墙 / 验证码 / 风控拦截后的跳过原因
+    let abortReason = null;
 
-    for (let i = 0; i < collaborations.length; i++) {
-        const collab = collaborations[i];
+    await runWithConcurrency(collaborations, SCHEDULER_CONCURRENCY, async (collab, i) => {
         const taskStartTime = Date.now();
 
+        if (abortReason) {
+            skippedCount++;
+            updatedTasks[i] = {
+                collaborationId: collab.id,
+                talentName: collab.talentName || '',
+                videoId: null,
+                status: 'skipped',
+                error: abortReason,
+                duration: 0
+            };
+            return;
+        }
+
         // 根据发布日期选择工作流
         const publishDate = collab.actualReleaseDate || collab.plannedReleaseDate;
         const workflowRule = getWorkflowForVideo(workflowRules, publishDate);
@@ -436,15 +483,15 @@ async function executeProjectFetch(project, workflowRules) {
         if (!workflowRule) {
             console.log(`[SCHEDULER] 合作 ${collab.id} 无匹配工作流，跳过`);
             skippedCount++;
-            updatedTasks.push({
+            updatedTasks[i] = {
                 collaborationId: collab.id,
                 talentName: collab.talentName || '',
                 videoId: null,
                 status: 'skipped',
                 error: '无匹配工作流',
                 duration: Date.now() - taskStartTime
-            });
-            continue;
+            };
+            return;
         }
 
         // 根据工作流需要的输入类型获取对应值
@@ -461,15 +508,15 @@ async function executeProjectFetch(project, workflowRules) {
             const missingField = workflowRule.requiredInput === 'taskId' ? '星图任务ID' : '视频ID';
             console.log(`[SCHEDULER] 合作 ${collab.id} 无${missingField}，跳过`);
             skippedCount++;
-            updatedTasks.push({
+            updatedTasks[i] = {
                 collaborationId: collab.id,
                 talentName: collab.talentName || '',
                 videoId: null,
                 status: 'skipped',
                 error: `无${missingField}`,
                 duration: Date.now() - taskStartTime
-            });
-            continue;
+            };
+            return;
         }
 
         try {
@@ -483,20 +530,18 @@ async function executeProjectFetch(project, workflowRules) {
                 metadata: {
                     projectId,
                     collaborationId: collab.id,
+                    talentName: collab.talentName || '',
                     reportDate: today,
                     source: 'scheduler'
                 }
             }, {
-                timeout: 120000 // 120秒超时
+                timeout: TASK_REQUEST_TIMEOUT_MS // 含页面池排队时间
             });
 
             if (response.data.success) {
                 const views = response.data.results?.result?.data?.['播放量'];
-                const viewsNumeric = views ? parseInt(String(views).replace(/[,w万]/gi, ''), 10) : null;
-                // 处理带"w"或"万"的数值（如 1,545.92w = 15459200）
-                const finalViews = views && (views.toString().includes('w') || views.toString().includes('万'))
-                    ? Math.round(parseFloat(views.toString().replace(/[,w万]/gi, '')) * 10000)
-                    : viewsNumeric;
+                // v1.4.4: 统一使用 parseNumericValue（支持千分位、w/万/亿，如 1,545.92w = 15459200）
+                const finalViews = parseStoredNumber(views);
 
                 // v1.3.3: 保存数据到 collaboration 的 dailyStats
                 if (finalViews) {
@@ -523,7 +568,7 @@ async function executeProjectFetch(project, workflowRules) {
                 }
 
                 successCount++;
-                updatedTasks.push({
+                updatedTasks[i] = {
                     collaborationId: collab.id,
                     talentName: collab.talentName || '',
                     videoId: inputValue,
@@ -532,29 +577,36 @@ async function executeProjectFetch(project, workflowRules) {
                     fetchedViews: finalViews,
                     error: null,
                     duration: Date.now() - taskStartTime
-                });
+                };
                 console.log(`[SCHEDULER] ✓ 成功: ${collab.talentName || collab.id} - 播放量: ${views || '未获取'}`);
             } else {
-                throw new Error(response.data.error || '抓取失败');
+                throw toTaskError(response.data);
             }
 
         } catch (error) {
             console.error(`[SCHEDULER] ✗ 失败: ${collab.talentName || collab.id} - ${error.message}`);
             failedCount++;
-            updatedTasks.push({
+            updatedTasks[i] = {
                 collaborationId: collab.id,
                 talentName: collab.talentName || '',
                 videoId: inputValue,
                 workflowUsed: workflowRule.name,
                 status: 'failed',
                 error: error.message,
+                errorCode: error.errorCode || null,
+                failedStep: error.failedStep || null,
+                evidenceUrl: error.evidenceUrl || null,
                 duration: Date.now() - taskStartTime
-            });
+            };
+            if (ACCOUNT_BLOCKING_ERROR_CODES.includes(error.errorCode) && !abortReason) {
+                abortReason = `账号异常（${error.errorCode}），跳过剩余抓取`;
+                console.error(`[SCHEDULER] 账号触发 ${error.errorCode}，项目 ${projectName} 剩余合作记录将跳过，请处理账号后重新执行`);
+            }
         }
 
         // 任务间隔，避免请求过快
         await new Promise(resolve => setTimeout(resolve, 2000));
-    }
+    });
 
     const totalDuration = Date.now() - startTime;
     const completedAt = new Date();
@@ -671,17 +723,32 @@ async function executeJointProjectFetch(project, projectConfig) {
     const insertResult = await db.collection(SCHEDULED_EXECUTIONS_COLLECTION).insertOne(execution);
     const executionId = insertResult.insertedId;
 
-    // 串行执行每个抓取任务
+    // v1.5: 并发执行抓取任务（每个 worker 内任务间仍保留间隔）
     const startTime = Date.now();
     let successCount = 0;
     let failedCount = 0;
     let skippedCount = 0;
     const updatedTasks = [];
+    // v1.6: 账号被登录墙 / 验证码 / 风控拦截后的跳过原因
+    let abortReason = null;
 
-    for (let i = 0; i < collaborations.length; i++) {
-        const collab = collaborations[i];
+    await runWithConcurrency(collaborations, SCHEDULER_CONCURRENCY, async (collab, i) => {
         const taskStartTime = Date.now();
 
+        if (abortReason) {
+            skippedCount++;
+            updatedTasks[i] = {
+                collaborationId: collab.id,
+                talentName: collab.talentName || '',
+                videoId: collab.videoId || null,
+                taskId: collab.taskId || collab.xingtuTaskId || null,
+                status: 'skipped',
+                error: abortReason,
+                duration: 0
+            };
+            return;
+        }
+
         // v1.4.2 修复：联投日报使用星图任务ID (taskId)，不是 videoId
         // 工作流需要 taskId 来访问星图营销报告页面
         const taskId = collab.taskId || collab.xingtuTaskId || null;
@@ -690,7 +757,7 @@ async function executeJointProjectFetch(project, projectConfig) {
         if (!taskId) {
             console.log(`[SCHEDULER] 联投合作 ${collab.id} (${collab.talentName}) 无星图任务ID，跳过`);
             skippedCount++;
-            updatedTasks.push({
+            updatedTasks[i] = {
                 collaborationId: collab.id,
                 talentName: collab.talentName || '',
                 videoId: videoId,
@@ -698,8 +765,8 @@ async function executeJointProjectFetch(project, projectConfig) {
                 status: 'skipped',
                 error: '无星图任务ID',
                 duration: Date.now() - taskStartTime
-            });
-            continue;
+            };
+            return;
         }
 
         try {
@@ -714,6 +781,7 @@ async function executeJointProjectFetch(project, projectConfig) {
                 metadata: {
                     projectId,
                     collaborationId: collab.id,
+                    talentName: collab.talentName || '',
                     reportDate: today,
                     source: 'scheduler',
                     projectType: 'joint',
@@ -721,7 +789,7 @@ async function executeJointProjectFetch(project, projectConfig) {
                     videoId: videoId
                 }
             }, {
-                timeout: 120000 // 120秒超时
+                timeout: TASK_REQUEST_TIMEOUT_MS // 含页面池排队时间
             });
 
             if (response.data.success) {
@@ -765,7 +833,7 @@ async function executeJointProjectFetch(project, projectConfig) {
                 }
 
                 successCount++;
-                updatedTasks.push({
+                updatedTasks[i] = {
                     collaborationId: collab.id,
                     talentName: collab.talentName || '',
                     videoId: videoId,
@@ -775,29 +843,36 @@ async function executeJointProjectFetch(project, projectConfig) {
                     fetchedData: parsedData,  // v1.4.3: 记录已解析的数据
                     error: null,
                     duration: Date.now() - taskStartTime
-                });
+                };
                 console.log(`[SCHEDULER] ✓ 成功: ${collab.talentName || collab.id} - 播放量: ${views || '-'}`);
             } else {
-                throw new Error(response.data.error || '抓取失败');
+                throw toTaskError(response.data);
             }
 
         } catch (error) {
             console.error(`[SCHEDULER] ✗ 失败: ${collab.talentName || collab.id} - ${error.message}`);
             failedCount++;
-            updatedTasks.push({
+            updatedTasks[i] = {
                 collaborationId: collab.id,
                 talentName: collab.talentName || '',
                 videoId: videoId,
                 workflowUsed: workflowName,
                 status: 'failed',
                 error: error.message,
+                errorCode: error.errorCode || null,
+                failedStep: error.failedStep || null,
+                evidenceUrl: error.evidenceUrl || null,
                 duration: Date.now() - taskStartTime
-            });
+            };
+            if (ACCOUNT_BLOCKING_ERROR_CODES.includes(error.errorCode) && !abortReason) {
+                abortReason = `账号异常（${error.errorCode}），跳过剩余抓取`;
+                console.error(`[SCHEDULER] 账号触发 ${error.errorCode}，项目 ${projectName} 剩余合作记录将跳过，请处理账号后重新执行`);
+            }
         }
 
         // 任务间隔，避免请求过快
         await new Promise(resolve => setTimeout(resolve, 2000));
-    }
+    });
 
     const totalDuration = Date.now() - startTime;
     const completedAt = new Date();
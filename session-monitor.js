@@ -0,0 +1,203 @@
+/**
+ * @file session-monitor.js
+ * @version 1.0
+ * @description 登录态监控 - 定时在各账号的浏览器中打开探测页面（跳转到 redirect_uri 即未登录，同 refresh-userdata.js 的手动验证），
+ * 结果写入 automation-sessions 集合；账号未登录期间暂停该账号的任务，避免大量任务以选择器超时失败
+ *
+ * 探测间隔：
+ * - SESSION_CHECK_INTERVAL_MS（默认 30 分钟）: 已登录或状态未知的账号
+ * - SESSION_RECHECK_INTERVAL_MS（默认 5 分钟）: 未登录的账号，重新登录或更新 Cookie 后尽快恢复任务
+ * SESSION_MONITOR=false 关闭监控：不定时探测，也不暂停账号
+ *
+ * 除定时探测外，任务返回 LOGIN_REQUIRED 时由调用方 markLoggedOut 立即暂停账号，等下一次探测成功后恢复。
+ *
+ * automation-sessions 每个账号一条记录：
+ * { accountId, loggedIn, checkedAt, source, url, code, reason, lastLoggedInAt, lastLoggedOutAt, lastProbeError, history }
+ * history 保留最近 HISTORY_LIMIT 次结果 { loggedIn, checkedAt, source, reason }
+ */
+const { DEFAULT_ACCOUNT_ID } = require('./account-registry');
+
+const SESSIONS_COLLECTION = 'automation-sessions';
+const HISTORY_LIMIT = 20;
+
+function parsePositiveInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * 创建登录态监控
+ * @param {object} options
+ * @param {Db} options.db - MongoDB 数据库实例
+ * @param {object} options.accountRegistry - account-registry 实例（列出账号、同步 loginState）
+ * @param {Function} options.probe - (accountId) => Promise<{ loggedIn: boolean|null, url?, code?, reason? }>，通常为执行器的 probeSession
+ * @param {number} [options.checkInterval] - 已登录账号的探测间隔（毫秒）
+ * @param {number} [options.recheckInterval] - 未登录账号的探测间隔（毫秒），同时作为监控的轮询间隔
+ * @param {boolean} [options.enabled] - 默认 SESSION_MONITOR !== 'false'
+ */
+function createSessionMonitor({
+    db,
+    accountRegistry,
+    probe,
+    checkInterval = parsePositiveInt(process.env.SESSION_CHECK_INTERVAL_MS, 30 * 60 * 1000),
+    recheckInterval = parsePositiveInt(process.env.SESSION_RECHECK_INTERVAL_MS, 5 * 60 * 1000),
+    enabled = process.env.SESSION_MONITOR !== 'false',
+}) {
+    const collection = db.collection(SESSIONS_COLLECTION);
+    const states = new Map();   // accountId -> { loggedIn, checkedAt, isDefault }
+    let timer = null;
+    let checking = false;
+
+    /**
+     * 写入一次探测结果；loggedIn 为 null（探测失败）时只记录错误，不改变登录状态
+     */
+    async function recordResult(account, result, source) {
+        const now = new Date();
+        const previous = states.get(account.accountId);
+        const entry = { loggedIn: result.loggedIn, checkedAt: now, source, reason: result.reason || null };
+        const update = { $push: { history: { $each: [entry], $slice: -HISTORY_LIMIT } } };
+
+        if (result.loggedIn === null) {
+            update.$set = { accountId: account.accountId, lastProbeError: result.reason || null, lastProbeAt: now };
+            console.warn(`[SESSION] 账号 ${account.accountId} ${result.reason || '探测失败'}`);
+        } else {
+            update.$set = {
+                accountId: account.accountId,
+                loggedIn: result.loggedIn,
+                checkedAt: now,
+                source,
+                url: result.url || null,
+                code: result.code || null,
+                reason: result.reason || null,
+                lastProbeError: null,
+                [result.loggedIn ? 'lastLoggedInAt' : 'lastLoggedOutAt']: now,
+            };
+            states.set(account.accountId, { loggedIn: result.loggedIn, checkedAt: now, isDefault: !!account.isDefault });
+
+            if (result.loggedIn === false && previous?.loggedIn !== false) {
+                console.error(`[SESSION] 账号 ${account.accountId} 未登录（${result.reason || result.url || source}），暂停该账号的任务`);
+            } else if (result.loggedIn === true && previous?.loggedIn === false) {
+                console.log(`[SESSION] 账号 ${account.accountId} 已恢复登录，继续执行该账号的任务`);
+            }
+            await accountRegistry.recordLoginState(account.accountId, result.loggedIn, { source, reason: result.reason || null })
+                .catch(e => console.warn(`[SESSION] 同步账号登录状态失败: ${e.message}`));
+        }
+
+        await collection.updateOne({ accountId: account.accountId }, update, { upsert: true });
+    }
+
+    /**
+     * 立即探测一个账号
+     * @returns {Promise<object>} 探测结果
+     */
+    async function checkAccount(accountId, source = 'monitor') {
+        const account = await accountRegistry.getAccount(accountId);
+        if (!account) throw new Error(`账号不存在: ${accountId}`);
+        let result;
+        try {
+            result = await probe(account.accountId);
+        } catch (error) {
+            result = { loggedIn: null, reason: `探测失败: ${error.message}` };
+        }
+        await recordResult(account, result, source);
+        return { accountId: account.accountId, ...result };
+    }
+
+    function isDue(accountId, now) {
+        const state = states.get(accountId);
+        if (!state) return true;
+        const interval = state.loggedIn === false ? recheckInterval : checkInterval;
+        return now - state.checkedAt.getTime() >= interval;
+    }
+
+    /**
+     * 逐个探测到期的账号（跳过已停用的账号），上一轮未结束时跳过本轮
+     */
+    async function checkDueAccounts() {
+        if (checking) return;
+        checking = true;
+        try {
+            const now = Date.now();
+            const accounts = (await accountRegistry.listAccounts()).filter(a => a.status === 'active');
+            for (const account of accounts) {
+                if (isDue(account.accountId, now)) await checkAccount(account.accountId);
+            }
+        } catch (error) {
+            console.error(`[SESSION] 登录态探测出错: ${error.message}`);
+        } finally {
+            checking = false;
+        }
+    }
+
+    function scheduleNext() {
+        timer = setTimeout(async () => {
+            await checkDueAccounts();
+            if (timer) scheduleNext();
+        }, recheckInterval);
+        timer.unref();
+    }
+
+    /**
+     * 启动监控：载入已记录的登录状态（重启后保持暂停），立即探测一轮后按间隔继续
+     */
+    async function start() {
+        if (!enabled || timer) return;
+        const accounts = await accountRegistry.listAccounts();
+        const defaultIds = new Set(accounts.filter(a => a.isDefault).map(a => a.accountId));
+        const docs = await collection.find({ loggedIn: { $in: [true, false] } }).toArray();
+        docs.forEach(doc => {
+            states.set(doc.accountId, { loggedIn: doc.loggedIn, checkedAt: doc.checkedAt, isDefault: defaultIds.has(doc.accountId) });
+        });
+        console.log(`[SESSION] 登录态监控已启动（已登录账号每 ${Math.round(checkInterval / 60000)} 分钟、未登录账号每 ${Math.round(recheckInterval / 60000)} 分钟探测一次）`);
+        scheduleNext();
+        checkDueAccounts();
+    }
+
+    function stop() {
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    /**
+     * 任务检测到登录墙时立即标记账号未登录（无需等待下一次探测）
+     */
+    async function markLoggedOut(accountId, { reason = null, url = null } = {}) {
+        if (!enabled) return;
+        const account = await accountRegistry.getAccount(accountId);
+        if (!account) return;
+        await recordResult(account, { loggedIn: false, url, reason }, 'task');
+    }
+
+    /**
+     * 暂停中（未登录）的账号；默认账号暂停时同时包含 DEFAULT_ACCOUNT_ID（未指定账号的任务）
+     */
+    function getPausedAccounts() {
+        if (!enabled) return [];
+        const paused = new Set();
+        for (const [accountId, state] of states) {
+            if (state.loggedIn !== false) continue;
+            paused.add(accountId);
+            if (state.isDefault) paused.add(DEFAULT_ACCOUNT_ID);
+        }
+        return [...paused];
+    }
+
+    /**
+     * 账号是否暂停（accountId 为空时视为默认账号）
+     */
+    function isPaused(accountId) {
+        return getPausedAccounts().includes(accountId || DEFAULT_ACCOUNT_ID);
+    }
+
+    /**
+     * 账号的登录态记录，未记录时返回 null
+     */
+    async function getSession(accountId) {
+        const doc = await collection.findOne({ accountId }, { projection: { _id: 0, history: 0 } });
+        return doc ? { ...doc, paused: isPaused(accountId) } : null;
+    }
+
+    return { start, stop, checkAccount, markLoggedOut, getPausedAccounts, isPaused, getSession };
+}
+
+module.exports = { createSessionMonitor, SESSIONS_COLLECTION };
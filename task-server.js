@@ -1,10 +1,51 @@
 /**
  * @file task-server.js
  * @description HTTP API 服务器，提供按需执行工作流的能力
- * @version 3.0.0 - 双模式支持（同步 + 异步 VNC）
+ * @version 3.8.0 - 失败结果
  *
  * 运行方式: pm2 start task-server.js --name task-server
  *
+ * v3.8 变更：
+ * - [失败现场] 执行失败（results.status === 'failed'）时 /api/task/execute、/api/task/batch 一律返回 success: false，
+ *   不再只有带 errorCode 的失败才算失败；调用方（scheduler）据此记录 failedStep 与取证链接，而不是把失败记为成功
+ *
+ * v3.7 变更：
+ * - [快照] 替换账号 profile（上传 / 恢复快照）前由 profile-snapshots 归档当前 profile，不再保留 <userDataDir>.previous 目录
+ * - [快照] 新 profile 安装后登录验证失败时自动回滚到刚归档的快照
+ * - [快照] 新增 GET /api/accounts/:accountId/snapshots、POST /api/accounts/:accountId/snapshots（手动归档）、
+ *   POST /api/accounts/:accountId/snapshots/:snapshotId/restore（恢复），写操作需上传令牌
+ *
+ * v3.6 变更：
+ * - [凭证] 新增 POST /api/accounts/:accountId/cookies、POST /api/accounts/:accountId/profile（需 Authorization: Bearer <UPLOAD_TOKEN>），
+ *   替代 refresh-cookie.js / refresh-userdata.js 通过 sshpass + scp / rsync 上传；上传内容先用独立浏览器验证登录态，通过后才替换，并保留上一版本
+ *
+ * v3.5 变更：
+ * - [登录态] 启动后由 session-monitor 定时探测各账号登录态，结果写入 automation-sessions，/api/cookie-status 返回 session 字段
+ * - [登录态] 账号未登录期间，该账号的执行请求直接返回 errorCode: LOGIN_REQUIRED，不再逐个以选择器超时失败；任务检测到登录墙时立即暂停账号
+ * - [登录态] 新增 POST /api/sessions/check（立即探测指定账号，重新登录后用于恢复）
+ *
+ * v3.4 变更：
+ * - [风控] 执行结果带 errorCode（LOGIN_REQUIRED / CAPTCHA / RISK_CONTROL）时，/api/task/execute 返回 success: false 及 errorCode，
+ *   批量执行与 SSE 进度同样带 errorCode，调用方可据此暂停账号或停止后续任务
+ * - [修复] 恢复暂停任务时 detectSliderCaptcha 已由执行器导出，不再因函数不存在而报错
+ * - [修复] VNC 模式经 runTask 把 onProgress / onPause 传给执行器（原 executeActionsWithProgress 不存在，任务从不暂停），
+ *   暂停时保存真实的任务页面；恢复时页面不可用返回 409，不再在无法检查验证码的情况下恢复
+ * - [修复] 暂停超过 CAPTCHA_PAUSE_TIMEOUT_MS（默认 10 分钟）未恢复时任务以 CAPTCHA 失败，释放账号的页面池租约并清理暂停记录
+ *
+ * v3.3 变更：
+ * - [Cookie] COOKIE_STORE=file|mongo 时，任务执行前注入账号 Cookie、成功后写回被轮换的 Cookie（cookie-store）
+ * - [Cookie] /api/cookie-status 支持 ?accountId=，启用 Cookie 存储时从存储中读取
+ *
+ * v3.2 变更：
+ * - [多账号] /api/task/execute、/api/task/batch 的 accountId 由 account-registry 解析，任务在对应账号的浏览器 profile 中执行（不再忽略 accountId）
+ * - [多账号] 新增 GET /api/accounts（各账号登录状态）、POST /api/accounts（新增 / 更新账号）
+ * - [多账号] 任务成功后记录账号登录状态
+ *
+ * v3.1 变更：
+ * - [并发] 任务页面由执行器的页面池分配，同时收到的请求可并发执行；请求体可传 accountId，同一账号的任务串行执行
+ * - [并发] /api/task/batch 改为并发执行（并发数受页面池大小限制），结果仍按 inputValues 顺序返回
+ * - [状态] /api/status 返回页面池的执行中 / 空闲 / 排队数量
+ *
  * v3.0 变更：
  * - [双模式] 非 VNC 模式：同步执行，等待完成后返回结果
  * - [双模式] VNC 模式：异步执行，通过 SSE 获取进度
@@ -20,11 +61,24 @@ const fs = require('fs');
 const path = require('path');
 
 // 引入 puppeteer-executor 的核心功能
-const { executeActions, executeActionsWithProgress } = require('./puppeteer-executor');
+const {
+    executeActions,
+    getPoolStats,
+    probeSession,
+    probeCredentials,
+    runWithProfileStopped
+} = require('./puppeteer-executor');
+const { validateWorkflow } = require('./workflow-validator');
+const { createAccountRegistry } = require('./account-registry');
+const { createCookieStore } = require('./cookie-store');
+const { createSessionMonitor } = require('./session-monitor');
+const { RISK_CODES } = require('./risk-detector');
+const { requireUploadToken, validateCookies, receiveUpload, extractProfileArchive } = require('./credential-upload');
+const { createProfileSnapshots, installProfile } = require('./profile-snapshots');
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' }));  // Cookie 上传的 JSON 可能超过默认的 100kb
 
 // 配置
 const PORT = process.env.API_PORT || 3001;
@@ -34,6 +88,13 @@ const COOKIE_FILE = path.join(__dirname, 'xingtu-cookies.json');
 
 // 数据库连接
 let db = null;
+// 账号注册表、Cookie 存储（initDB 时创建，未配置 COOKIE_STORE 时 cookieStore 为 null）
+let accountRegistry = null;
+let cookieStore = null;
+// 登录态监控（initDB 时创建并启动）
+let sessionMonitor = null;
+// profile 快照（不依赖数据库）
+const profileSnapshots = createProfileSnapshots();
 
 // ========== SSE 进度存储（仅 VNC 模式使用） ==========
 const taskProgress = new Map();
@@ -41,6 +102,9 @@ const taskProgress = new Map();
 // ========== 暂停任务存储（用于验证码手动处理） ==========
 const pausedTasks = new Map();  // taskId -> { resolve, page, workflow }
 
+// ========== 正在更新凭证的账号（同一账号同时只处理一个上传 / 恢复） ==========
+const updatingAccounts = new Set();
+
 /**
  * 初始化数据库连接
  */
@@ -49,10 +113,61 @@ async function initDB() {
     const client = new MongoClient(MONGO_URI);
     await client.connect();
     db = client.db(DB_NAME);
+    accountRegistry = createAccountRegistry(db);
+    cookieStore = createCookieStore(process.env.COOKIE_STORE, { db });
+    sessionMonitor = createSessionMonitor({
+        db,
+        accountRegistry,
+        probe: accountId => probeSession({ accountId, loadAccount: loadAccountById, cookieStore })
+    });
     console.log('[DB] 成功连接到 MongoDB');
     return db;
 }
 
+/**
+ * 按 ID 加载工作流（供 runWorkflow 步骤加载子工作流）
+ */
+async function loadWorkflowById(workflowId) {
+    await initDB();
+    return db.collection('automation-workflows').findOne({ _id: new ObjectId(workflowId) });
+}
+
+/**
+ * 按 accountId 加载账号（未指定时为默认账号）
+ */
+async function loadAccountById(accountId) {
+    await initDB();
+    return accountRegistry.getAccount(accountId);
+}
+
+/**
+ * 在指定账号下执行任务，成功后记录账号登录状态；账号未登录（登录态监控暂停）时不执行，直接返回 LOGIN_REQUIRED
+ * @param {object} [hooks] - VNC 模式的 onProgress / onPause，原样传给执行器
+ */
+async function runTask(task, workflow, accountId, hooks = {}) {
+    if (sessionMonitor.isPaused(accountId)) {
+        const errorMessage = `账号 ${accountId || 'default'} 未登录，已暂停执行（重新登录后调用 POST /api/sessions/check 恢复）`;
+        console.warn(`[API] ${errorMessage}`);
+        return { status: 'failed', errorCode: RISK_CODES.LOGIN_REQUIRED, errorMessage, accountId, failedAt: new Date() };
+    }
+    const results = await executeActions(task, workflow, {
+        loadWorkflow: loadWorkflowById,
+        loadAccount: loadAccountById,
+        cookieStore,
+        accountId,
+        ...hooks
+    });
+    if (results.accountId) {
+        await accountRegistry.recordTaskOutcome(results.accountId, results)
+            .catch(e => console.warn(`[API] 记录账号状态失败: ${e.message}`));
+    }
+    if (results.errorCode === RISK_CODES.LOGIN_REQUIRED) {
+        await sessionMonitor.markLoggedOut(results.accountId, { reason: '任务检测到登录墙', url: results.risk?.url })
+            .catch(e => console.warn(`[API] 记录登录态失败: ${e.message}`));
+    }
+    return results;
+}
+
 /**
  * 获取所有可用工作流
  */
@@ -88,6 +203,52 @@ app.get('/api/workflows', async (req, res) => {
     }
 });
 
+/**
+ * 校验工作流定义（供前端编辑器在保存/执行前调用）
+ *
+ * 请求体二选一：
+ * - { workflow }: 校验未保存的工作流定义
+ * - { workflowId }: 校验数据库中已保存的工作流
+ */
+app.post('/api/workflows/validate', async (req, res) => {
+    const { workflow, workflowId } = req.body;
+
+    if (!workflow && !workflowId) {
+        return res.status(400).json({
+            success: false,
+            error: '缺少必要参数: workflow 或 workflowId'
+        });
+    }
+
+    try {
+        let target = workflow;
+        if (!target) {
+            if (!ObjectId.isValid(workflowId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `无效的 workflowId: ${workflowId}`
+                });
+            }
+            await initDB();
+            target = await db.collection('automation-workflows').findOne({
+                _id: new ObjectId(workflowId)
+            });
+            if (!target) {
+                return res.status(404).json({
+                    success: false,
+                    error: '工作流不存在'
+                });
+            }
+        }
+
+        const { valid, errors, warnings } = validateWorkflow(target);
+        res.json({ success: true, valid, errors, warnings });
+    } catch (err) {
+        console.error('[API] 校验工作流失败:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
 /**
  * SSE 端点 - 实时获取任务进度（仅 VNC 模式使用）
  */
@@ -131,7 +292,7 @@ app.get('/api/task/stream/:taskId', (req, res) => {
  * - 其他情况：同步模式，等待执行完成后返回结果
  */
 app.post('/api/task/execute', async (req, res) => {
-    const { workflowId, inputValue, enableVNC, metadata } = req.body;
+    const { workflowId, inputValue, enableVNC, metadata, accountId } = req.body;
 
     if (!workflowId || !inputValue) {
         return res.status(400).json({
@@ -140,7 +301,7 @@ app.post('/api/task/execute', async (req, res) => {
         });
     }
 
-    console.log(`[API] 收到执行请求: workflow=${workflowId}, input=${inputValue}, enableVNC=${enableVNC}`);
+    console.log(`[API] 收到执行请求: workflow=${workflowId}, input=${inputValue}, enableVNC=${enableVNC}, account=${accountId || 'default'}`);
 
     try {
         await initDB();
@@ -217,15 +378,15 @@ app.post('/api/task/execute', async (req, res) => {
                 taskProgress.set(taskId, { taskId, ...progress });
             };
 
-            // 暂停通知回调（验证码需要手动处理时）
-            const onPause = (tid, pauseInfo) => {
+            // 暂停通知回调（验证码需要手动处理时），保存任务页面供恢复时检查验证码是否已消失
+            const onPause = (tid, pauseInfo, page) => {
                 console.log('[SSE] 推送暂停状态:', tid, pauseInfo);
                 taskProgress.set(tid, { taskId: tid, ...pauseInfo });
 
                 return new Promise((resolve) => {
                     pausedTasks.set(tid, {
                         resolve,
-                        page: null,
+                        page,
                         workflow
                     });
                 });
@@ -233,12 +394,7 @@ app.post('/api/task/execute', async (req, res) => {
 
             (async () => {
                 try {
-                    let results;
-                    if (typeof executeActionsWithProgress === "function") {
-                        results = await executeActionsWithProgress(task, workflow, onProgress, onPause);
-                    } else {
-                        results = await executeActions(task, workflow);
-                    }
+                    const results = await runTask(task, workflow, accountId, { onProgress, onPause });
 
                     const duration = Date.now() - startTime;
                     console.log(`[API] 工作流执行完成，耗时 ${duration}ms`);
@@ -260,6 +416,7 @@ app.post('/api/task/execute', async (req, res) => {
                     taskProgress.set(taskId, {
                         taskId,
                         status: results.status === "failed" ? "failed" : "completed",
+                        errorCode: results.errorCode,
                         result: results,
                         duration,
                     });
@@ -281,6 +438,9 @@ app.post('/api/task/execute', async (req, res) => {
                     });
                 }
 
+                // 暂停超时后执行器已终止任务，清理未恢复的暂停记录（之后的恢复请求返回 404）
+                pausedTasks.delete(taskId);
+
                 // 5分钟后清理进度数据
                 setTimeout(() => {
                     taskProgress.delete(taskId);
@@ -296,11 +456,26 @@ app.post('/api/task/execute', async (req, res) => {
         global.enableVNCMode = false;
 
         const startTime = Date.now();
-        const results = await executeActions(task, workflow);
+        const results = await runTask(task, workflow, accountId);
         const duration = Date.now() - startTime;
 
         console.log(`[API] 工作流执行完成，耗时 ${duration}ms`);
 
+        // 执行失败（含登录墙 / 验证码 / 风控的错误码）：明确返回失败，results 中带失败步骤与取证链接
+        if (results.status === 'failed') {
+            return res.json({
+                success: false,
+                errorCode: results.errorCode || null,
+                error: (results.errorMessage || '执行失败').split('\n')[0],
+                workflowId,
+                workflowName: workflow.name,
+                inputValue,
+                taskId,
+                duration,
+                results
+            });
+        }
+
         res.json({
             success: true,
             workflowId,
@@ -322,12 +497,11 @@ app.post('/api/task/execute', async (req, res) => {
 });
 
 /**
- * 批量执行工作流（串行执行）
- * 注意：每个任务都会单独启动浏览器，适合小批量任务
- * 大批量任务建议使用 local-agent.js 的队列模式
+ * 批量执行工作流（并发执行，并发数受页面池大小限制，超出部分排队）
+ * 适合小批量任务，大批量任务建议使用 local-agent.js 的队列模式
  */
 app.post('/api/task/batch', async (req, res) => {
-    const { workflowId, inputValues, metadata } = req.body;
+    const { workflowId, inputValues, metadata, accountId } = req.body;
 
     if (!workflowId || !inputValues || !Array.isArray(inputValues)) {
         return res.status(400).json({
@@ -347,8 +521,6 @@ app.post('/api/task/batch', async (req, res) => {
 
     console.log(`[API] 收到批量执行请求: workflow=${workflowId}, count=${inputValues.length}`);
 
-    const results = [];
-
     try {
         await initDB();
 
@@ -362,8 +534,8 @@ app.post('/api/task/batch', async (req, res) => {
 
         const inputKey = workflow.requiredInput?.key || 'xingtuId';
 
-        // 串行执行每个任务
-        for (const inputValue of inputValues) {
+        // 并发执行每个任务，由页面池控制同时执行的数量
+        const results = await Promise.all(inputValues.map(async (inputValue) => {
             try {
                 const task = {
                     _id: new ObjectId(),
@@ -373,22 +545,32 @@ app.post('/api/task/batch', async (req, res) => {
                     createdAt: new Date()
                 };
 
-                const result = await executeActions(task, workflow);
-                results.push({
+                const result = await runTask(task, workflow, accountId);
+                if (result.status === 'failed') {
+                    return {
+                        inputValue,
+                        success: false,
+                        errorCode: result.errorCode || null,
+                        error: (result.errorMessage || '执行失败').split('\n')[0],
+                        taskId: task._id.toString(),
+                        result
+                    };
+                }
+                return {
                     inputValue,
                     success: true,
                     taskId: task._id.toString(),
                     result
-                });
+                };
 
             } catch (err) {
-                results.push({
+                return {
                     inputValue,
                     success: false,
                     error: err.message
-                });
+                };
             }
-        }
+        }));
 
         res.json({
             success: true,
@@ -406,21 +588,268 @@ app.post('/api/task/batch', async (req, res) => {
 });
 
 /**
- * 检查 Cookie 状态
+ * 账号列表及登录状态
+ */
+app.get('/api/accounts', async (req, res) => {
+    try {
+        await initDB();
+        const accounts = await accountRegistry.getLoginStatuses();
+        res.json({
+            success: true,
+            loggedInCount: accounts.filter(a => a.loggedIn === true).length,
+            accounts
+        });
+    } catch (err) {
+        console.error('[API] 获取账号列表失败:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+/**
+ * 新增 / 更新账号（profile 目录与 Cookie 文件使用默认位置 account_profiles/<accountId>）
+ */
+app.post('/api/accounts', async (req, res) => {
+    const { accountId, name, platform, status, isDefault } = req.body;
+
+    if (!accountId || !/^[\w-]+$/.test(accountId)) {
+        return res.status(400).json({
+            success: false,
+            error: '缺少必要参数 accountId（仅允许字母、数字、下划线和 -）'
+        });
+    }
+    if (status !== undefined && !['active', 'disabled'].includes(status)) {
+        return res.status(400).json({ success: false, error: "status 只能是 'active' 或 'disabled'" });
+    }
+
+    try {
+        await initDB();
+        const fields = { accountId, name, platform, status, isDefault };
+        Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+        const account = await accountRegistry.upsertAccount(fields);
+        console.log(`[API] 账号已保存: ${account.accountId}`);
+        res.json({ success: true, account });
+    } catch (err) {
+        console.error('[API] 保存账号失败:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+/**
+ * 凭证更新接口的公共流程：查找账号、同一账号的上传 / 恢复互斥，处理完成后立即探测登录态（handler 已探测时不再重复）
+ * @param {string} kind - 更新内容（用于日志）
+ * @param {Function} handler - async (account, req, res) => object，返回 null 表示已自行响应（如校验失败）
+ */
+function handleCredentialChange(kind, handler) {
+    return async (req, res) => {
+        const { accountId } = req.params;
+        if (updatingAccounts.has(accountId)) {
+            return res.status(409).json({ success: false, error: `账号 ${accountId} 正在处理另一个上传或恢复` });
+        }
+        updatingAccounts.add(accountId);
+        try {
+            await initDB();
+            const account = await accountRegistry.getAccount(accountId);
+            if (!account) {
+                return res.status(404).json({ success: false, error: `账号不存在: ${accountId}` });
+            }
+            const result = await handler(account, req, res);
+            if (!result) return;
+            const session = result.session || await sessionMonitor.checkAccount(account.accountId, 'upload')
+                .catch(e => ({ loggedIn: null, reason: e.message }));
+            console.log(`[API] 账号 ${account.accountId} 的${kind}已更新`);
+            res.json({ success: true, accountId: account.accountId, ...result, session });
+        } catch (err) {
+            console.error(`[API] 更新${kind}失败:`, err);
+            res.status(500).json({ success: false, error: err.message });
+        } finally {
+            updatingAccounts.delete(accountId);
+        }
+    };
+}
+
+/**
+ * 替换账号 profile：关闭账号浏览器 → 归档当前 profile → install 安装新 profile → 探测登录态；
+ * 新 profile 探测为未登录时自动恢复到刚归档的快照（探测失败无法判断时不回滚）
+ * @param {object} account
+ * @param {string} reason - 快照原因（before_upload / before_restore）
+ * @param {Function} install - async (account) => void，浏览器已关闭时安装新 profile
+ * @returns {Promise<{ snapshot: object|null, session: object, rolledBack: boolean, failedCheck?: object }>}
+ */
+async function swapAccountProfile(account, reason, install) {
+    const options = { accountId: account.accountId, loadAccount: loadAccountById };
+    const lastSession = await sessionMonitor.getSession(account.accountId);
+
+    const snapshot = await runWithProfileStopped(options, async (stoppedAccount) => {
+        const created = await profileSnapshots.createSnapshot(stoppedAccount, {
+            reason,
+            lastLoginAt: lastSession?.lastLoggedInAt,
+            loggedIn: lastSession?.loggedIn
+        });
+        await install(stoppedAccount);
+        return created;
+    });
+
+    const session = await sessionMonitor.checkAccount(account.accountId, 'install');
+    if (session.loggedIn !== false || !snapshot) {
+        await profileSnapshots.pruneSnapshots(account.accountId)
+            .catch(e => console.warn(`[API] 清理旧快照失败: ${e.message}`));
+        return { snapshot, session, rolledBack: false };
+    }
+
+    console.warn(`[API] 账号 ${account.accountId} 的新 profile 登录验证失败（${session.reason || session.url}），回滚到快照 ${snapshot.snapshotId}`);
+    await runWithProfileStopped(options, stoppedAccount => profileSnapshots.restoreSnapshot(stoppedAccount, snapshot.snapshotId));
+    const restoredSession = await sessionMonitor.checkAccount(account.accountId, 'rollback');
+    return { snapshot, session: restoredSession, rolledBack: true, failedCheck: session };
+}
+
+/**
+ * 上传账号 Cookie（请求体为 page.cookies() 导出的数组，或 { cookies: [...] }）
+ * 先用独立浏览器验证登录态，通过后写入 Cookie 存储（未启用时写入账号的 Cookie 文件），保留上一版本
+ */
+app.post('/api/accounts/:accountId/cookies', requireUploadToken, handleCredentialChange('Cookie', async (account, req, res) => {
+    const cookies = Array.isArray(req.body) ? req.body : req.body?.cookies;
+    const invalid = validateCookies(cookies);
+    if (invalid) {
+        res.status(400).json({ success: false, error: invalid });
+        return null;
+    }
+
+    const probe = await probeCredentials({ cookies });
+    if (probe.loggedIn !== true) {
+        res.status(422).json({ success: false, error: `上传的 Cookie 未通过登录验证: ${probe.reason || probe.url}`, probe });
+        return null;
+    }
+
+    const store = cookieStore || createCookieStore('file');
+    await store.save(account, cookies, { source: 'upload', keepPrevious: true });
+    return { store: store.name, cookieCount: cookies.length, probe };
+}));
+
+/**
+ * 上传账号 profile（请求体为 userDataDir 内容的 tar.gz，Content-Type: application/gzip）
+ * 解压到 <userDataDir>.incoming 并验证登录态，通过后归档当前 profile 再替换；替换后登录验证失败时自动回滚
+ */
+app.post('/api/accounts/:accountId/profile', requireUploadToken, handleCredentialChange('profile', async (account, req, res) => {
+    const stagingDir = `${account.userDataDir}.incoming`;
+    const archivePath = `${stagingDir}.tar.gz`;
+    await fs.promises.rm(stagingDir, { recursive: true, force: true });
+
+    try {
+        const size = await receiveUpload(req, archivePath);
+        console.log(`[API] 已接收账号 ${account.accountId} 的 profile 压缩包 (${Math.round(size / 1024 / 1024)}MB)，解压验证中...`);
+        await extractProfileArchive(archivePath, stagingDir);
+
+        const probe = await probeCredentials({ userDataDir: stagingDir });
+        if (probe.loggedIn !== true) {
+            res.status(422).json({ success: false, error: `上传的 profile 未通过登录验证: ${probe.reason || probe.url}`, probe });
+            return null;
+        }
+
+        const swapped = await swapAccountProfile(account, 'before_upload', stoppedAccount => installProfile(stoppedAccount, stagingDir));
+        if (swapped.rolledBack) {
+            res.status(422).json({
+                success: false,
+                error: `新 profile 安装后登录验证失败，已回滚到快照 ${swapped.snapshot.snapshotId}`,
+                ...swapped
+            });
+            return null;
+        }
+        return { size, probe, ...swapped };
+    } finally {
+        await fs.promises.rm(archivePath, { force: true });
+        await fs.promises.rm(stagingDir, { recursive: true, force: true });
+    }
+}));
+
+/**
+ * 账号的 profile 快照列表（新的在前）
+ */
+app.get('/api/accounts/:accountId/snapshots', async (req, res) => {
+    try {
+        await initDB();
+        const account = await accountRegistry.getAccount(req.params.accountId);
+        if (!account) {
+            return res.status(404).json({ success: false, error: `账号不存在: ${req.params.accountId}` });
+        }
+        res.json({ success: true, accountId: account.accountId, snapshots: await profileSnapshots.listSnapshots(account.accountId) });
+    } catch (err) {
+        console.error('[API] 获取快照列表失败:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+/**
+ * 手动归档账号当前的 profile（归档期间关闭该账号的浏览器）
+ */
+app.post('/api/accounts/:accountId/snapshots', requireUploadToken, handleCredentialChange('快照', async (account) => {
+    const lastSession = await sessionMonitor.getSession(account.accountId);
+    const snapshot = await runWithProfileStopped({ accountId: account.accountId, loadAccount: loadAccountById }, stoppedAccount =>
+        profileSnapshots.createSnapshot(stoppedAccount, {
+            reason: 'manual',
+            lastLoginAt: lastSession?.lastLoggedInAt,
+            loggedIn: lastSession?.loggedIn
+        })
+    );
+    if (!snapshot) throw new Error(`账号 ${account.accountId} 的 profile 目录不存在`);
+    await profileSnapshots.pruneSnapshots(account.accountId);
+    return { snapshot, session: lastSession };
+}));
+
+/**
+ * 恢复快照：先归档当前 profile，恢复后登录验证失败时回滚到恢复前的状态
+ */
+app.post('/api/accounts/:accountId/snapshots/:snapshotId/restore', requireUploadToken, handleCredentialChange('profile', async (account, req, res) => {
+    const { snapshotId } = req.params;
+    if (!await profileSnapshots.getSnapshot(account.accountId, snapshotId)) {
+        res.status(404).json({ success: false, error: `快照不存在: ${snapshotId}` });
+        return null;
+    }
+
+    const swapped = await swapAccountProfile(account, 'before_restore', stoppedAccount =>
+        profileSnapshots.restoreSnapshot(stoppedAccount, snapshotId)
+    );
+    if (swapped.rolledBack) {
+        res.status(422).json({
+            success: false,
+            error: `快照 ${snapshotId} 恢复后登录验证失败，已回滚到恢复前的快照 ${swapped.snapshot.snapshotId}`,
+            ...swapped
+        });
+        return null;
+    }
+    return { restoredSnapshotId: snapshotId, ...swapped };
+}));
+
+/**
+ * 检查 Cookie 状态（?accountId= 指定账号，默认为默认账号），session 为登录态监控最近一次探测结果
  */
 app.get('/api/cookie-status', async (req, res) => {
+    const { accountId } = req.query;
+
     try {
-        if (!fs.existsSync(COOKIE_FILE)) {
-            return res.json({ valid: false, reason: 'no_cookie_file' });
+        await initDB();
+        const account = await accountRegistry.getAccount(accountId);
+        if (!account) {
+            return res.status(404).json({ valid: false, reason: 'no_account' });
+        }
+        const session = await sessionMonitor.getSession(account.accountId);
+
+        let cookies = null;
+        if (accountId || process.env.COOKIE_STORE) {
+            // 指定账号或启用 Cookie 存储时，读取账号在存储（或其 Cookie 文件）中的 Cookie
+            cookies = await (cookieStore || createCookieStore('file')).load(account);
+        } else if (fs.existsSync(COOKIE_FILE)) {
+            cookies = JSON.parse(fs.readFileSync(COOKIE_FILE, 'utf-8'));
+        }
+        if (!cookies) {
+            return res.json({ valid: false, reason: 'no_cookie_file', session });
         }
 
-        const cookies = JSON.parse(fs.readFileSync(COOKIE_FILE, 'utf-8'));
         const sessionCookie = cookies.find(c =>
             c.name === 'sessionid' || c.name === 'passport_csrf_token'
         );
 
         if (!sessionCookie) {
-            return res.json({ valid: false, reason: 'no_session_cookie' });
+            return res.json({ valid: false, reason: 'no_session_cookie', session });
         }
 
         // 检查过期时间
@@ -433,13 +862,30 @@ app.get('/api/cookie-status', async (req, res) => {
             expiresAt: new Date(expiresAt).toISOString(),
             daysUntilExpiry: Math.floor(daysUntilExpiry),
             warning: daysUntilExpiry < 3 && daysUntilExpiry > 0,
-            cookieCount: cookies.length
+            cookieCount: cookies.length,
+            session
         });
     } catch (err) {
         res.json({ valid: false, reason: 'error', error: err.message });
     }
 });
 
+/**
+ * 立即探测账号登录态（重新登录或更新 Cookie 后调用，探测成功即恢复该账号的任务）
+ */
+app.post('/api/sessions/check', async (req, res) => {
+    const { accountId } = req.body || {};
+
+    try {
+        await initDB();
+        const result = await sessionMonitor.checkAccount(accountId, 'api');
+        res.json({ success: true, ...result, paused: sessionMonitor.isPaused(result.accountId) });
+    } catch (err) {
+        console.error('[API] 探测登录态失败:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
 /**
  * 服务器状态
  */
@@ -455,6 +901,7 @@ app.get('/api/status', (req, res) => {
             used: parseFloat((usedMem / 1024 / 1024 / 1024).toFixed(1)),  // GB
             total: parseFloat((totalMem / 1024 / 1024 / 1024).toFixed(1)) // GB
         },
+        browserPool: getPoolStats(),
         timestamp: new Date().toISOString()
     });
 });
@@ -476,6 +923,13 @@ app.post('/api/task/:taskId/resume', async (req, res) => {
         });
     }
 
+    if (!paused.page || paused.page.isClosed()) {
+        return res.status(409).json({
+            success: false,
+            error: '任务页面不可用，无法确认验证码是否已处理'
+        });
+    }
+
     try {
         // 检查验证码是否已消失
         const { detectSliderCaptcha } = require('./puppeteer-executor');
@@ -526,14 +980,27 @@ app.get('/health', (req, res) => {
 // 启动服务器
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`[TASK-SERVER] HTTP API 服务器运行在 http://0.0.0.0:${PORT}`);
-    console.log('[TASK-SERVER] v3.0.0 - 双模式支持（同步 + 异步 VNC）');
+    console.log('[TASK-SERVER] v3.7.0 - 双模式支持（同步 + 异步 VNC），页面池并发执行，多账号，Cookie 存储，风控检测，登录态监控，凭证上传，profile 快照');
     console.log('[TASK-SERVER] 可用端点:');
     console.log('  GET  /api/workflows            - 获取工作流列表');
+    console.log('  POST /api/workflows/validate   - 校验工作流定义');
     console.log('  POST /api/task/execute         - 执行单个任务（双模式）');
     console.log('  GET  /api/task/stream/:taskId  - SSE 实时进度（VNC 模式）');
     console.log('  POST /api/task/:taskId/resume  - 恢复暂停任务（VNC 模式）');
     console.log('  POST /api/task/batch           - 批量执行任务');
-    console.log('  GET  /api/cookie-status        - 检查 Cookie 状态');
+    console.log('  GET  /api/accounts             - 账号列表及登录状态');
+    console.log('  POST /api/accounts             - 新增 / 更新账号');
+    console.log('  POST /api/accounts/:id/cookies - 上传账号 Cookie（需上传令牌）');
+    console.log('  POST /api/accounts/:id/profile - 上传账号 profile 压缩包（需上传令牌）');
+    console.log('  GET  /api/accounts/:id/snapshots - profile 快照列表');
+    console.log('  POST /api/accounts/:id/snapshots - 归档 profile（需上传令牌）');
+    console.log('  POST /api/accounts/:id/snapshots/:snapshotId/restore - 恢复快照（需上传令牌）');
+    console.log('  GET  /api/cookie-status        - 检查 Cookie 状态及登录态');
+    console.log('  POST /api/sessions/check       - 立即探测账号登录态');
     console.log('  GET  /api/status               - 服务器状态');
     console.log('  GET  /health                   - 健康检查');
+
+    initDB()
+        .then(() => sessionMonitor.start())
+        .catch(err => console.error('[TASK-SERVER] 登录态监控启动失败:', err.message));
 });
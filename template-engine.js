@@ -0,0 +1,194 @@
+/**
+ * @file template-engine.js
+ * @version 1.0
+ * @description 步骤参数模板引擎 - 替换工作流步骤中的 {{...}} 占位符
+ *
+ * 语法：{{ 路径 | 过滤器:参数 | ... }}
+ * - 路径：xingtuId、metadata.reportDate、data.authorId、item.标题、task._id、now 等，按 "." 逐级取值
+ * - 默认值：{{ videoId | default:'0' }}，值为 undefined / null / '' 时使用
+ * - 过滤器：urlencode、date:'YYYY-MM-DD'、addDays:-1、trim、upper、lower、json
+ *
+ * 规则：
+ * - 整个字符串恰好是一个占位符时返回原始值（保留数字/对象等类型），否则拼接为字符串
+ * - 无法解析且没有 default 的占位符保持原样（与旧版行为一致，由 workflow-validator 提前报错）
+ * - 值为 0 / false 等假值时正常替换，不再回退为占位符原文
+ */
+
+const PLACEHOLDER_REGEX = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const SINGLE_PLACEHOLDER_REGEX = /^\{\{\s*([^{}]+?)\s*\}\}$/;
+
+/**
+ * 将值转为 Date（支持 Date、时间戳、可解析的日期字符串）
+ */
+function toDate(value) {
+    if (value instanceof Date) return value;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * 按 YYYY / MM / DD / HH / mm / ss 格式化日期（本地时区）
+ */
+function formatDate(date, pattern = 'YYYY-MM-DD') {
+    const pad = n => String(n).padStart(2, '0');
+    const tokens = {
+        YYYY: String(date.getFullYear()),
+        MM: pad(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        HH: pad(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds()),
+    };
+    return pattern.replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+}
+
+// 可用的过滤器：(value, ...args) => newValue
+const FILTERS = {
+    default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+    urlencode: value => encodeURIComponent(value ?? ''),
+    date: (value, pattern) => {
+        const date = toDate(value);
+        return date ? formatDate(date, pattern) : value;
+    },
+    addDays: (value, days = 0) => {
+        const date = toDate(value);
+        if (!date) return value;
+        const shifted = new Date(date.getTime());
+        shifted.setDate(shifted.getDate() + Number(days));
+        return shifted;
+    },
+    trim: value => (typeof value === 'string' ? value.trim() : value),
+    upper: value => (typeof value === 'string' ? value.toUpperCase() : value),
+    lower: value => (typeof value === 'string' ? value.toLowerCase() : value),
+    json: value => JSON.stringify(value),
+};
+
+/**
+ * 解析过滤器参数：'带引号字符串' / "带引号字符串" / 数字 / 其它原样作为字符串
+ */
+function parseArgument(raw) {
+    const text = raw.trim();
+    const quoted = text.match(/^(['"])(.*)\1$/);
+    if (quoted) return quoted[2];
+    if (text !== '' && !isNaN(Number(text))) return Number(text);
+    return text;
+}
+
+/**
+ * 按 ":" 拆分过滤器参数，忽略引号内的冒号（例如 date:'HH:mm'）
+ */
+function splitArguments(text) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null;
+            current += char;
+        } else if (char === '\'' || char === '"') {
+            quote = char;
+            current += char;
+        } else if (char === ':') {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+/**
+ * 解析占位符表达式为 { path, filters: [{ name, args }] }
+ */
+function parseExpression(expression) {
+    const [pathPart, ...filterParts] = expression.split('|');
+    const filters = filterParts.map(part => {
+        const [name, ...args] = splitArguments(part.trim());
+        return { name: name.trim(), args: args.map(parseArgument) };
+    });
+    return { path: pathPart.trim(), filters };
+}
+
+/**
+ * 提取字符串中的所有占位符表达式（供 workflow-validator 静态检查使用）
+ */
+function extractExpressions(text) {
+    if (typeof text !== 'string') return [];
+    return Array.from(text.matchAll(PLACEHOLDER_REGEX), match => parseExpression(match[1]));
+}
+
+/**
+ * 按 "." 路径从上下文中取值
+ */
+function lookup(context, path) {
+    return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), context);
+}
+
+/**
+ * 计算单个表达式；无法解析时返回 { resolved: false }
+ */
+function evaluateExpression(expression, context) {
+    const { path, filters } = parseExpression(expression);
+    let value = lookup(context, path);
+    const hasDefault = filters.some(f => f.name === 'default');
+
+    if ((value === undefined || value === null) && !hasDefault) {
+        return { resolved: false };
+    }
+    for (const { name, args } of filters) {
+        const filter = FILTERS[name];
+        if (!filter) throw new Error(`未知的模板过滤器: ${name}`);
+        value = filter(value, ...args);
+    }
+    return { resolved: true, value };
+}
+
+function stringify(value) {
+    if (value instanceof Date) return formatDate(value, 'YYYY-MM-DD HH:mm:ss');
+    if (value !== null && typeof value === 'object' && typeof value.toHexString !== 'function') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * 渲染单个字符串
+ */
+function renderString(text, context) {
+    const single = text.match(SINGLE_PLACEHOLDER_REGEX);
+    if (single) {
+        const { resolved, value } = evaluateExpression(single[1], context);
+        return resolved ? value : text;
+    }
+    return text.replace(PLACEHOLDER_REGEX, (match, expression) => {
+        const { resolved, value } = evaluateExpression(expression, context);
+        return resolved ? stringify(value) : match;
+    });
+}
+
+/**
+ * 深度渲染任意值（字符串、数组、普通对象）
+ * @param {*} value - 待渲染的值
+ * @param {object} context - 模板上下文
+ * @param {string[]} [skipKeys] - 对象中跳过不渲染的字段（例如子步骤列表，留待执行时再渲染）
+ */
+function renderTemplate(value, context, skipKeys = []) {
+    if (typeof value === 'string') {
+        return renderString(value, context);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => renderTemplate(item, context));
+    }
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        const rendered = {};
+        for (const [key, item] of Object.entries(value)) {
+            rendered[key] = skipKeys.includes(key) ? item : renderTemplate(item, context);
+        }
+        return rendered;
+    }
+    return value;
+}
+
+module.exports = { renderTemplate, extractExpressions, formatDate, FILTERS };
@@ -0,0 +1,34 @@
+/**
+ * @file template-engine.test.js
+ * @description template-engine 的行为检查（node --test）
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate } = require('./template-engine');
+
+test('替换占位符，整个字符串为单个占位符时保留原始类型', () => {
+    const context = { xingtuId: '7211005', metadata: { count: 3 } };
+    assert.equal(renderTemplate('https://x.test/{{xingtuId}}?n={{ metadata.count }}', context), 'https://x.test/7211005?n=3');
+    assert.equal(renderTemplate('{{metadata.count}}', context), 3);
+});
+
+test('default 过滤器在值缺失或为空时生效', () => {
+    assert.equal(renderTemplate("{{ videoId | default:'0' }}", {}), '0');
+    assert.equal(renderTemplate("{{ videoId | default:'0' }}", { videoId: '' }), '0');
+    assert.equal(renderTemplate("{{ videoId | default:'0' }}", { videoId: 'v1' }), 'v1');
+});
+
+test('缺失且没有 default 的占位符保持原样', () => {
+    assert.equal(renderTemplate('{{missing}}', {}), '{{missing}}');
+    assert.equal(renderTemplate('a/{{missing.path}}/b', { missing: {} }), 'a/{{missing.path}}/b');
+});
+
+test('值为 0 / false 时正常替换', () => {
+    assert.equal(renderTemplate('n={{n}}', { n: 0 }), 'n=0');
+    assert.equal(renderTemplate('{{flag}}', { flag: false }), false);
+});
+
+test('深度渲染对象与数组，skipKeys 中的字段不渲染', () => {
+    const step = { url: '{{id}}', list: ['{{id}}'], then: [{ url: '{{id}}' }] };
+    assert.deepEqual(renderTemplate(step, { id: 'x' }, ['then']), { url: 'x', list: ['x'], then: [{ url: '{{id}}' }] });
+});
@@ -0,0 +1,123 @@
+/**
+ * @file value-transforms.js
+ * @version 1.0
+ * @description 提取值类型转换 - 执行器、local-agent、scheduler 共用同一套数值解析，保证同一页面得到同一个数字
+ *
+ * 工作流步骤中的 transform 写法：
+ * - 字符串简写: transform: 'number'
+ * - 对象: transform: { type: 'regex', pattern: '(\\d+)', group: 1 }
+ * - 数组（按顺序依次转换）: transform: [{ type: 'regex', pattern: '播放(.*)' }, 'number']
+ *
+ * 支持的类型：
+ * - number: 数值解析，支持千分位、w/万、亿、k、m、% 及末尾的 +，保留小数；有其它多余字符时报错（见 parseNumericValue）
+ * - regex: 正则捕获，pattern + group（默认 1）+ flags
+ * - date: 日期解析，支持 2026-01-05 / 2026/1/5 / 2026年1月5日，输出 format（默认 YYYY-MM-DD）
+ * - trim: 去除首尾空白
+ * - split: 按 separator 拆分为数组，可指定 index 取其中一项
+ */
+const { formatDate } = require('./template-engine');
+
+// 数量单位（中文 w / 万 / 亿，英文 k / m）
+const UNIT_MULTIPLIERS = {
+    w: 10000,
+    W: 10000,
+    '万': 10000,
+    '亿': 100000000,
+    k: 1000,
+    K: 1000,
+    m: 1000000,
+    M: 1000000,
+};
+// 数字 + 可选单位 + 可选的 "+"（如 "12.3万+"、"999+"），不允许其它多余字符
+const NUMERIC_PATTERN = /^(-?\d[\d,]*(?:\.\d+)?)\s*([wW万亿kKmM])?\s*\+?$/;
+const PERCENT_PATTERN = /^(-?\d[\d,]*(?:\.\d+)?)\s*%$/;
+
+/**
+ * 解析数值字符串为数字，保留小数（前端 parseNumericValue 会取整，需要整数计数的调用方自行 Math.round）
+ * 支持格式:
+ * - "1,169,823" -> 1169823
+ * - "3.75" -> 3.75
+ * - "16.79w" / "16.79万" -> 167900
+ * - "1,545.92w" -> 15459200
+ * - "1.2亿" -> 120000000
+ * - "12.3万+" -> 123000
+ * - "1.5k" -> 1500
+ * - "0.07%" -> 0.07 (百分比保留原值)
+ * 无法解析（含未识别的单位或多余字符，如 "12次"）时返回 null，不截断为前面的数字
+ */
+function parseNumericValue(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return null;
+
+    const str = value.trim();
+    if (!str) return null;
+
+    // 处理百分比（保留原值，如 0.07%）
+    const percentMatch = str.match(PERCENT_PATTERN);
+    if (percentMatch) return parseFloat(percentMatch[1].replace(/,/g, ''));
+
+    const match = str.match(NUMERIC_PATTERN);
+    if (!match) return null;
+    const num = parseFloat(match[1].replace(/,/g, ''));
+    if (!match[2]) return num;
+    // toPrecision 消除浮点误差（16.79 * 10000 = 167899.99999999997）
+    return Number((num * UNIT_MULTIPLIERS[match[2]]).toPrecision(15));
+}
+
+/**
+ * 解析常见日期写法，返回 Date；无法解析时返回 null
+ */
+function parseDateValue(value) {
+    if (value instanceof Date) return value;
+    const match = String(value).trim().match(/(\d{4})\s*[-/.年]\s*(\d{1,2})\s*[-/.月]\s*(\d{1,2})/);
+    if (!match) return null;
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// 各转换类型的实现：(value, options) => newValue，无法转换时抛出错误
+const TRANSFORMS = {
+    number: (value) => {
+        const num = parseNumericValue(value);
+        if (num === null) throw new Error(`无法将 "${value}" 解析为数字`);
+        return num;
+    },
+    regex: (value, { pattern, group = 1, flags = '' }) => {
+        const match = String(value).match(new RegExp(pattern, flags));
+        if (!match) throw new Error(`"${value}" 不匹配正则 ${pattern}`);
+        return match[group] !== undefined ? match[group] : match[0];
+    },
+    date: (value, { format = 'YYYY-MM-DD' }) => {
+        const date = parseDateValue(value);
+        if (!date) throw new Error(`无法将 "${value}" 解析为日期`);
+        return formatDate(date, format);
+    },
+    trim: (value) => (typeof value === 'string' ? value.trim() : value),
+    split: (value, { separator = ',', index }) => {
+        const parts = String(value).split(separator).map(part => part.trim());
+        return typeof index === 'number' ? parts[index] : parts;
+    },
+};
+
+/**
+ * 将 transform 配置规范化为 [{ type, ...options }] 数组
+ */
+function normalizeTransform(transform) {
+    const list = Array.isArray(transform) ? transform : [transform];
+    return list.map(item => (typeof item === 'string' ? { type: item } : item));
+}
+
+/**
+ * 按 transform 配置依次转换提取到的原始值
+ * @param {*} value - 原始值（通常是页面文本）
+ * @param {string|object|Array} transform - 转换配置
+ */
+function applyTransform(value, transform) {
+    return normalizeTransform(transform).reduce((current, { type, ...options }) => {
+        const fn = TRANSFORMS[type];
+        if (!fn) throw new Error(`未知的转换类型: ${type}`);
+        return fn(current, options);
+    }, value);
+}
+
+module.exports = { parseNumericValue, applyTransform, normalizeTransform, TRANSFORMS };
@@ -0,0 +1,44 @@
+/**
+ * @file value-transforms.test.js
+ * @description value-transforms 的行为检查（node --test）
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNumericValue, applyTransform } = require('./value-transforms');
+
+test('parseNumericValue 解析千分位、小数与数量单位', () => {
+    assert.equal(parseNumericValue('1,234'), 1234);
+    assert.equal(parseNumericValue('3.75'), 3.75);
+    assert.equal(parseNumericValue('12.3万'), 123000);
+    assert.equal(parseNumericValue('16.79w'), 167900);
+    assert.equal(parseNumericValue('1,545.92w'), 15459200);
+    assert.equal(parseNumericValue('1.2亿'), 120000000);
+    assert.equal(parseNumericValue('1.5k'), 1500);
+    assert.equal(parseNumericValue('2M'), 2000000);
+    assert.equal(parseNumericValue(42), 42);
+});
+
+test('parseNumericValue 允许单位后的 "+"', () => {
+    assert.equal(parseNumericValue('12.3万+'), 123000);
+    assert.equal(parseNumericValue('999+'), 999);
+});
+
+test('parseNumericValue 百分比保留原值', () => {
+    assert.equal(parseNumericValue('0.07%'), 0.07);
+});
+
+test('parseNumericValue 无法解析或有多余字符时返回 null，不截断为前面的数字', () => {
+    for (const value of ['', '-', 'abc', '12次', '1.2.3', '12.3万人', null, undefined]) {
+        assert.equal(parseNumericValue(value), null, `输入 ${JSON.stringify(value)}`);
+    }
+});
+
+test('number 转换对无法解析的值报错', () => {
+    assert.equal(applyTransform('12.3万+', 'number'), 123000);
+    assert.throws(() => applyTransform('12次', 'number'), /无法将 "12次" 解析为数字/);
+});
+
+test('transform 数组按顺序转换', () => {
+    assert.equal(applyTransform('播放 1.5k 次', [{ type: 'regex', pattern: '播放\\s*(\\S+)' }, 'number']), 1500);
+    assert.equal(applyTransform('2026年1月5日', { type: 'date', format: 'YYYY/MM/DD' }), '2026/01/05');
+});
@@ -0,0 +1,142 @@
+/**
+ * @file visual-regression.js
+ * @version 1.0
+ * @description 截图视觉回归检测 - 将同一工作流同一截图与上一次成功执行的结果对比，及早发现页面改版导致的错误截图
+ * - 感知哈希（dHash）：缩放为 9x8 灰度图后比较相邻像素明暗，64 位哈希的汉明距离 / 64 即差异分数（0 ~ 1）
+ * - 空白检测：图片各通道标准差都很小（纯色、白屏、加载中）
+ * - 尺寸检测：宽 / 高过小，或面积相比基线缩小一半以上（图表被裁切、模块未展开）
+ *
+ * 基线保存在本地 visual_baselines/<workflowId>/<截图名>.json（可通过 VISUAL_BASELINE_DIR 修改），只保存哈希与尺寸，不保存图片。
+ * 基线仅在任务成功且截图未被标记时更新；页面确实改版时，删除对应的基线文件即可在下次成功执行时重新建立。
+ */
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const BASELINE_DIR = process.env.VISUAL_BASELINE_DIR || path.join(__dirname, 'visual_baselines');
+// 差异分数超过该值即标记（默认 0.25，即 64 位中超过 16 位不同）
+const DEFAULT_DIFF_THRESHOLD = parseFloat(process.env.VISUAL_DIFF_THRESHOLD) || 0.25;
+// 宽或高小于该值（像素）视为异常小图
+const MIN_DIMENSION = 50;
+// 面积小于基线的该比例视为被裁切
+const MIN_AREA_RATIO = 0.5;
+// 各通道标准差均低于该值视为空白图
+const BLANK_STDEV = 4;
+
+/**
+ * 计算图片的 dHash（16 位十六进制字符串）
+ */
+async function computeDHash(buffer) {
+    const pixels = await sharp(buffer)
+        .flatten({ background: '#ffffff' })
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            const bit = pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n;
+            hash = (hash << 1n) | bit;
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * 计算两个 dHash 的汉明距离（不同的位数）
+ */
+function hammingDistance(hashA, hashB) {
+    let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+    let count = 0;
+    while (diff > 0n) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+/**
+ * 分析截图：哈希、尺寸、是否空白
+ */
+async function analyzeScreenshot(buffer) {
+    const image = sharp(buffer);
+    const [{ width, height }, stats] = await Promise.all([image.metadata(), image.stats()]);
+    const colorChannels = stats.channels.slice(0, 3);
+    return {
+        hash: await computeDHash(buffer),
+        width,
+        height,
+        blank: colorChannels.every(channel => channel.stdev < BLANK_STDEV),
+    };
+}
+
+function getBaselinePath(workflowId, key) {
+    const safe = value => String(value).replace(/[^\w\u4e00-\u9fa5.-]+/g, '_');
+    return path.join(BASELINE_DIR, safe(workflowId), `${safe(key)}.json`);
+}
+
+async function loadBaseline(workflowId, key) {
+    try {
+        return JSON.parse(await fs.promises.readFile(getBaselinePath(workflowId, key), 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        console.warn(`[VISUAL] 读取基线失败 ${workflowId}/${key}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * 保存基线
+ * @param {{ workflowId: string, key: string, analysis: object, url?: string, taskId?: string }} entry
+ */
+async function saveBaseline({ workflowId, key, analysis, url, taskId }) {
+    const filePath = getBaselinePath(workflowId, key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const baseline = {
+        hash: analysis.hash,
+        width: analysis.width,
+        height: analysis.height,
+        url,
+        taskId,
+        updatedAt: new Date().toISOString(),
+    };
+    await fs.promises.writeFile(filePath, JSON.stringify(baseline, null, 2));
+}
+
+/**
+ * 将截图与基线对比
+ * @param {object} params
+ * @param {string} params.workflowId - 工作流 ID
+ * @param {string} params.key - 截图在工作流中的名称
+ * @param {Buffer} params.buffer - 截图内容
+ * @param {number} [params.threshold] - 差异分数阈值
+ * @returns {Promise<{ analysis: object, visualDiff: { score: number|null, baselineUrl?: string, flagged: boolean, reasons: string[] } }>}
+ */
+async function compareWithBaseline({ workflowId, key, buffer, threshold = DEFAULT_DIFF_THRESHOLD }) {
+    const analysis = await analyzeScreenshot(buffer);
+    const baseline = await loadBaseline(workflowId, key);
+    const reasons = [];
+
+    if (analysis.blank) reasons.push('blank');
+    if (analysis.width < MIN_DIMENSION || analysis.height < MIN_DIMENSION) reasons.push('small');
+
+    let score = null;
+    if (baseline) {
+        score = hammingDistance(analysis.hash, baseline.hash) / 64;
+        if (score > threshold) reasons.push('diff');
+        if (analysis.width * analysis.height < baseline.width * baseline.height * MIN_AREA_RATIO) reasons.push('shrunk');
+    }
+
+    return {
+        analysis,
+        visualDiff: {
+            score,
+            ...(baseline && { baselineUrl: baseline.url }),
+            flagged: reasons.length > 0,
+            reasons,
+        },
+    };
+}
+
+module.exports = { compareWithBaseline, saveBaseline, analyzeScreenshot, computeDHash, hammingDistance };
@@ -0,0 +1,407 @@
+/**
+ * @file workflow-validator.js
+ * @version 1.0
+ * @description 工作流校验器 - 在执行前检查工作流定义，避免拼写错误或缺参到真实站点上才暴露
+ * - 检查每个步骤的 action 是否受支持、必填参数是否齐全
+ * - 检查 timeout / retries / onError 等通用参数的取值
+ * - 检查 {{占位符}} 的过滤器是否存在；取值来源未在工作流输入中声明时给出警告（执行器会代入任务的全部顶层字段，无法静态确定）
+ * - 递归校验 if / forEach 中的子步骤
+ *
+ * 使用方式：
+ *   const { validateWorkflow } = require('./workflow-validator');
+ *   const { valid, errors, warnings } = validateWorkflow(workflow);
+ */
+const { extractExpressions, FILTERS } = require('./template-engine');
+const { normalizeTransform, TRANSFORMS } = require('./value-transforms');
+
+// 各动作的参数定义
+// - required: 必填参数
+// - scopedOptional: 在 forEach 循环内可省略的参数（省略时作用于当前迭代元素）
+// - nested: 包含子步骤列表的参数
+const ACTION_SCHEMAS = {
+    'Go to URL': { required: ['url'] },
+    wait: { required: [] },
+    waitForSelector: { required: ['selector'], scopedOptional: ['selector'] },
+    click: { required: ['selector'], scopedOptional: ['selector'] },
+    type: { required: ['selector'], scopedOptional: ['selector'] },
+    select: { required: ['selector', 'value'], scopedOptional: ['selector'] },
+    hover: { required: ['selector'], scopedOptional: ['selector'] },
+    press: { required: ['key'] },
+    uploadFile: { required: ['selector', 'files'], scopedOptional: ['selector'] },
+    setDateRange: { required: ['start', 'end'] },
+    if: { required: ['condition'], nested: ['then', 'else'] },
+    forEach: { required: ['selector', 'dataName', 'steps'], nested: ['steps'] },
+    // screenshot 的 selector 在 stitched: 'page'（整页长截图）或循环内可省略，见 validateActionParams
+    screenshot: { required: [] },
+    savePage: { required: [] },
+    scrollPage: { required: [] },
+    waitForNetworkIdle: { required: [] },
+    extractData: { required: ['selector', 'dataName'], scopedOptional: ['selector'] },
+    compositeExtract: { required: ['template', 'sources', 'dataName'] },
+    extractTable: { required: ['selector', 'dataName', 'columns'] },
+    // trigger: wait: true 时在注册监听后执行的子步骤（触发请求的点击 / 导航）
+    captureResponse: { required: ['urlPattern'], nested: ['trigger'] },
+    runWorkflow: { required: ['workflowId'] },
+};
+
+// if 步骤支持的条件类型及其必填参数
+const CONDITION_SCHEMAS = {
+    selectorExists: ['selector'],
+    textPresent: ['text'],
+    urlMatches: ['pattern'],
+    dataMatches: ['dataName', 'pattern'],
+    all: ['conditions'],
+    any: ['conditions'],
+};
+
+const ON_ERROR_POLICIES = ['fail', 'continue', 'skip'];
+
+// screenshot 步骤的遮罩样式与水印选项
+const MASK_STYLES = ['blur', 'black'];
+const WATERMARK_MODES = ['caption', 'overlay'];
+const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+// 截图输出格式（imageOptions.format）
+const IMAGE_FORMATS = ['png', 'jpeg', 'webp'];
+// savePage 步骤支持的存档格式
+const ARCHIVE_FORMATS = ['pdf', 'mhtml'];
+
+// 不依赖工作流输入声明、始终可用的占位符根路径（见 puppeteer-executor 的 buildTemplateContext）
+const ALWAYS_AVAILABLE_PLACEHOLDERS = ['collaborationId', 'metadata', 'task', 'data', 'item', 'index', 'now'];
+// 任务记录的常用顶层字段，buildTemplateContext 展开任务后可直接引用（如 v22 起支持的 {{taskId}}）
+const TASK_FIELD_PLACEHOLDERS = ['xingtuId', 'taskId', '_id', 'workflowId', 'workflowName', 'jobId', 'accountId'];
+
+/**
+ * 获取工作流声明的输入字段名（兼容新格式 inputConfig 与旧格式 requiredInput）
+ */
+function getDeclaredInputs(workflow) {
+    const key = workflow.inputConfig?.key || workflow.requiredInput?.key || 'xingtuId';
+    return [...new Set([key, ...TASK_FIELD_PLACEHOLDERS, ...ALWAYS_AVAILABLE_PLACEHOLDERS])];
+}
+
+/**
+ * 收集任意值中出现的 {{占位符}} 表达式（深度遍历对象与数组）
+ */
+function collectPlaceholders(value, found = []) {
+    if (typeof value === 'string') {
+        found.push(...extractExpressions(value));
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectPlaceholders(item, found));
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => collectPlaceholders(item, found));
+    }
+    return found;
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function isValidRegex(pattern) {
+    try {
+        new RegExp(pattern);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * 校验 if 步骤的条件对象
+ */
+function validateCondition(condition, path, report) {
+    if (!condition || typeof condition !== 'object') {
+        report.error(path, "条件必须是包含 'type' 的对象");
+        return;
+    }
+    const required = CONDITION_SCHEMAS[condition.type];
+    if (!required) {
+        report.error(path, `未知的条件类型 '${condition.type}'，可选: ${Object.keys(CONDITION_SCHEMAS).join(', ')}`);
+        return;
+    }
+    for (const param of required) {
+        if (isMissing(condition[param])) {
+            report.error(path, `条件 '${condition.type}' 缺少参数 '${param}'`);
+        }
+    }
+    if (condition.pattern && !isValidRegex(condition.pattern)) {
+        report.error(path, `条件中的正则表达式无效: ${condition.pattern}`);
+    }
+    if (Array.isArray(condition.conditions)) {
+        condition.conditions.forEach((sub, i) => validateCondition(sub, `${path}.conditions[${i}]`, report));
+    }
+}
+
+/**
+ * 校验 transform 类型转换配置
+ */
+function validateTransform(transform, path, report) {
+    for (const item of normalizeTransform(transform)) {
+        if (!item || !TRANSFORMS[item.type]) {
+            report.error(path, `未知的转换类型 '${item?.type}'，可选: ${Object.keys(TRANSFORMS).join(', ')}`);
+        } else if (item.type === 'regex' && (isMissing(item.pattern) || !isValidRegex(item.pattern))) {
+            report.error(path, `regex 转换的 'pattern' 缺失或无效: ${item.pattern}`);
+        }
+    }
+}
+
+/**
+ * 校验截图输出选项 imageOptions（工作流级与步骤级相同）
+ */
+function validateImageOptions(options, path, report) {
+    if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+        report.error(path, "'imageOptions' 必须是对象");
+        return;
+    }
+    if (options.format !== undefined && !IMAGE_FORMATS.includes(options.format)) {
+        report.error(path, `图片格式无效 '${options.format}'，可选: ${IMAGE_FORMATS.join(', ')}`);
+    }
+    if (options.quality !== undefined && !(Number.isInteger(options.quality) && options.quality >= 1 && options.quality <= 100)) {
+        report.error(path, "'quality' 必须是 1 ~ 100 的整数");
+    }
+    for (const param of ['maxWidth', 'pageHeight']) {
+        if (options[param] !== undefined && !(Number.isInteger(options[param]) && options[param] > 0)) {
+            report.error(path, `'${param}' 必须是正整数`);
+        }
+    }
+}
+
+/**
+ * 校验各动作特有的参数结构
+ */
+function validateActionParams(step, path, report, inLoop = false) {
+    switch (step.action) {
+        case 'screenshot':
+            if (step.stitched !== undefined && ![true, false, 'page'].includes(step.stitched)) {
+                report.error(path, `'stitched' 取值无效 '${step.stitched}'，可选: true（元素内滚动长截图）、'page'（页面级长截图）`);
+            }
+            if (isMissing(step.selector) && step.stitched !== 'page' && !inLoop) {
+                report.error(path, "动作 'screenshot' 缺少必填参数 'selector'（stitched: 'page' 时可省略）");
+            }
+            if (step.imageOptions !== undefined) {
+                validateImageOptions(step.imageOptions, `${path}.imageOptions`, report);
+            }
+            if (step.diffThreshold !== undefined && (typeof step.diffThreshold !== 'number' || step.diffThreshold < 0 || step.diffThreshold > 1)) {
+                report.error(path, "'diffThreshold' 必须是 0 ~ 1 之间的数字");
+            }
+            [].concat(step.mask || []).forEach((mask, i) => {
+                const selector = typeof mask === 'string' ? mask : mask?.selector;
+                const style = (typeof mask === 'object' && mask?.style) || step.maskStyle || 'blur';
+                if (isMissing(selector)) {
+                    report.error(`${path}.mask[${i}]`, "遮罩需要 'selector'");
+                } else if (!MASK_STYLES.includes(style)) {
+                    report.error(`${path}.mask[${i}]`, `遮罩样式无效 '${style}'，可选: ${MASK_STYLES.join(', ')}`);
+                }
+            });
+            if (step.watermark && typeof step.watermark === 'object') {
+                const { mode = 'caption', position = 'bottom-right' } = step.watermark;
+                if (!WATERMARK_MODES.includes(mode)) {
+                    report.error(`${path}.watermark`, `水印模式无效 '${mode}'，可选: ${WATERMARK_MODES.join(', ')}`);
+                }
+                if (!WATERMARK_POSITIONS.includes(position)) {
+                    report.error(`${path}.watermark`, `水印位置无效 '${position}'，可选: ${WATERMARK_POSITIONS.join(', ')}`);
+                }
+            }
+            break;
+        case 'savePage': {
+            const invalid = [].concat(step.formats || 'pdf').filter(format => !ARCHIVE_FORMATS.includes(format));
+            if (invalid.length > 0) {
+                report.error(path, `'formats' 包含不支持的格式 ${invalid.join(', ')}，可选: ${ARCHIVE_FORMATS.join(', ')}`);
+            }
+            if (step.media !== undefined && !['print', 'screen'].includes(step.media)) {
+                report.error(path, `'media' 取值无效 '${step.media}'，可选: print, screen`);
+            }
+            break;
+        }
+        case 'if':
+            validateCondition(step.condition, `${path}.condition`, report);
+            if (!Array.isArray(step.then) && !Array.isArray(step.else)) {
+                report.error(path, "'if' 步骤至少需要 'then' 或 'else' 子步骤列表");
+            }
+            break;
+        case 'compositeExtract':
+            if (!Array.isArray(step.sources)) {
+                report.error(path, "'sources' 必须是数组");
+                break;
+            }
+            step.sources.forEach((source, i) => {
+                if (isMissing(source?.name) || isMissing(source?.selector)) {
+                    report.error(`${path}.sources[${i}]`, "数据源需要 'name' 和 'selector'");
+                } else if (typeof step.template === 'string' && !step.template.includes(`\${${source.name}}`)) {
+                    report.warn(`${path}.sources[${i}]`, `模板中未引用数据源 '\${${source.name}}'`);
+                }
+                if (source?.transform !== undefined) {
+                    validateTransform(source.transform, `${path}.sources[${i}].transform`, report);
+                }
+            });
+            break;
+        case 'extractTable':
+            if (!Array.isArray(step.columns) || step.columns.length === 0) {
+                report.error(path, "'columns' 必须是非空数组");
+                break;
+            }
+            step.columns.forEach((col, i) => {
+                if (isMissing(col?.name)) {
+                    report.error(`${path}.columns[${i}]`, "列定义缺少 'name'");
+                } else if (isMissing(col.selector) && isMissing(col.header) && typeof col.index !== 'number') {
+                    report.error(`${path}.columns[${i}]`, `列 '${col.name}' 需要 'selector'、'header' 或 'index' 之一`);
+                }
+            });
+            break;
+        case 'captureResponse':
+            if (step.urlPattern && !isValidRegex(step.urlPattern)) {
+                report.error(path, `'urlPattern' 不是有效的正则表达式: ${step.urlPattern}`);
+            }
+            if (!step.fields && !step.dataName) {
+                report.error(path, "'captureResponse' 需要 'fields' 或 'dataName' 指定写入位置");
+            }
+            if (step.trigger !== undefined && step.wait !== true) {
+                report.warn(path, "'trigger' 仅在 wait: true 时执行");
+            }
+            break;
+        case 'type':
+            // 允许 text 为空字符串（配合 clear: true 清空输入框）
+            if (step.text === undefined || step.text === null) {
+                report.error(path, "动作 'type' 缺少必填参数 'text'");
+            }
+            break;
+        case 'uploadFile':
+            if (Array.isArray(step.files) && step.files.length === 0) {
+                report.error(path, "'files' 不能为空数组");
+            }
+            break;
+        case 'setDateRange':
+            if (isMissing(step.selector) && (isMissing(step.startSelector) || isMissing(step.endSelector))) {
+                report.error(path, "'setDateRange' 需要 'selector'，或同时提供 'startSelector' 和 'endSelector'");
+            }
+            break;
+        case 'runWorkflow':
+            if (step.inputs !== undefined && (typeof step.inputs !== 'object' || Array.isArray(step.inputs))) {
+                report.error(path, "'inputs' 必须是 { 输入名: 值 } 对象");
+            }
+            break;
+    }
+}
+
+/**
+ * 校验通用的错误策略参数
+ */
+function validatePolicyParams(step, path, report) {
+    for (const param of ['timeout', 'readyTimeout', 'retries', 'retryDelay']) {
+        if (step[param] !== undefined && (typeof step[param] !== 'number' || step[param] < 0)) {
+            report.error(path, `'${param}' 必须是非负数字`);
+        }
+    }
+    if (step.onError !== undefined && !ON_ERROR_POLICIES.includes(step.onError)) {
+        report.error(path, `'onError' 取值无效 '${step.onError}'，可选: ${ON_ERROR_POLICIES.join(', ')}`);
+    }
+}
+
+/**
+ * 递归校验步骤列表
+ */
+function validateSteps(steps, basePath, inLoop, report) {
+    if (!Array.isArray(steps)) {
+        report.error(basePath, '步骤列表必须是数组');
+        return;
+    }
+    steps.forEach((step, index) => {
+        const path = `${basePath}[${index}]`;
+        if (!step || typeof step !== 'object') {
+            report.error(path, '步骤必须是对象');
+            return;
+        }
+        const schema = ACTION_SCHEMAS[step.action];
+        if (!schema) {
+            report.error(path, `未知的动作 '${step.action}'，可选: ${Object.keys(ACTION_SCHEMAS).join(', ')}`);
+            return;
+        }
+
+        for (const param of schema.required) {
+            const optionalHere = inLoop && (schema.scopedOptional || []).includes(param);
+            if (isMissing(step[param]) && !optionalHere) {
+                report.error(path, `动作 '${step.action}' 缺少必填参数 '${param}'`);
+            }
+        }
+        validatePolicyParams(step, path, report);
+        validateActionParams(step, path, report, inLoop);
+        if (step.transform !== undefined) {
+            validateTransform(step.transform, `${path}.transform`, report);
+        }
+
+        for (const key of schema.nested || []) {
+            if (step[key] !== undefined) {
+                validateSteps(step[key], `${path}.${key}`, inLoop || step.action === 'forEach', report);
+            }
+        }
+    });
+}
+
+/**
+ * 校验工作流定义
+ * @param {object} workflow - 工作流对象（包含 steps、inputConfig/requiredInput 等）
+ * @returns {{ valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}> }}
+ */
+function validateWorkflow(workflow) {
+    const errors = [];
+    const warnings = [];
+    const report = {
+        error: (path, message) => errors.push({ path, message }),
+        warn: (path, message) => warnings.push({ path, message }),
+    };
+
+    if (!workflow || typeof workflow !== 'object') {
+        report.error('', '工作流必须是对象');
+        return { valid: false, errors, warnings };
+    }
+
+    if (!Array.isArray(workflow.steps) || workflow.steps.length === 0) {
+        report.error('steps', '工作流至少需要一个步骤');
+    } else {
+        validateSteps(workflow.steps, 'steps', false, report);
+        if (workflow.steps[0]?.action !== 'Go to URL') {
+            report.warn('steps[0]', "第一个步骤不是 'Go to URL'，工作流将在空白页上执行");
+        }
+    }
+
+    if (workflow.imageOptions !== undefined) {
+        validateImageOptions(workflow.imageOptions, 'imageOptions', report);
+    }
+
+    if (workflow.responseCaptures !== undefined) {
+        if (!Array.isArray(workflow.responseCaptures)) {
+            report.error('responseCaptures', 'responseCaptures 必须是数组');
+        } else {
+            workflow.responseCaptures.forEach((capture, i) => {
+                const path = `responseCaptures[${i}]`;
+                if (isMissing(capture?.urlPattern)) {
+                    report.error(path, "接口捕获缺少 'urlPattern'");
+                    return;
+                }
+                validateActionParams({ ...capture, action: 'captureResponse' }, path, report);
+            });
+        }
+    }
+
+    const declaredInputs = getDeclaredInputs(workflow);
+    const reported = new Set();
+    for (const { path, filters } of collectPlaceholders([workflow.steps, workflow.responseCaptures])) {
+        for (const { name } of filters) {
+            if (!FILTERS[name] && !reported.has(`filter:${name}`)) {
+                reported.add(`filter:${name}`);
+                report.error('steps', `占位符 {{${path}}} 使用了未知的过滤器 '${name}'，可选: ${Object.keys(FILTERS).join(', ')}`);
+            }
+        }
+        // 带 default 的占位符在取不到值时有兜底，不要求声明；
+        // 未声明的占位符可能来自任务的其它顶层字段，只给出警告，不阻止执行
+        const root = path.split('.')[0];
+        const hasDefault = filters.some(f => f.name === 'default');
+        if (!hasDefault && !declaredInputs.includes(root) && !reported.has(`input:${root}`)) {
+            reported.add(`input:${root}`);
+            report.warn('steps', `占位符 {{${path}}} 未在工作流输入中声明，任务缺少字段 '${root}' 时将原样保留（已知输入: ${declaredInputs.join(', ')}）`);
+        }
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+module.exports = { validateWorkflow, ACTION_SCHEMAS };
@@ -0,0 +1,50 @@
+/**
+ * @file workflow-validator.test.js
+ * @description workflow-validator 的行为检查（node --test）
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateWorkflow } = require('./workflow-validator');
+
+test('基线风格工作流（{{xingtuId}} / {{taskId}}）通过校验且没有警告', () => {
+    const result = validateWorkflow({
+        steps: [
+            { action: 'Go to URL', url: 'https://www.xingtu.cn/ad/creator/author-homepage/douyin-video/{{xingtuId}}?t={{taskId}}' },
+            { action: 'extractData', selector: '.views', dataName: '播放量' },
+        ],
+    });
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.warnings, []);
+});
+
+test('未声明的占位符只产生警告', () => {
+    const result = validateWorkflow({ steps: [{ action: 'Go to URL', url: 'https://x.test/{{videoId}}' }] });
+    assert.equal(result.valid, true);
+    assert.equal(result.warnings.length, 1);
+    assert.match(result.warnings[0].message, /videoId/);
+});
+
+test('未知动作与缺失参数返回错误', () => {
+    const result = validateWorkflow({
+        steps: [
+            { action: 'Go to URL', url: 'https://x.test' },
+            { action: 'teleport' },
+            { action: 'extractData', dataName: 'x' },
+        ],
+    });
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors.map(error => error.path), ['steps[1]', 'steps[2]']);
+    assert.match(result.errors[1].message, /selector/);
+});
+
+test('嵌套步骤的错误路径包含分支名', () => {
+    const result = validateWorkflow({
+        steps: [
+            { action: 'Go to URL', url: 'https://x.test' },
+            { action: 'if', condition: { type: 'selectorExists', selector: '#a' }, then: [{ action: 'click' }] },
+        ],
+    });
+    assert.equal(result.valid, false);
+    assert.equal(result.errors[0].path, 'steps[1].then[0]');
+});